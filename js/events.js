@@ -1,22 +1,63 @@
 /**
  * Event Manager for Greenwich Madina Trust
- * Reads from data/events.json and controls visibility of event sections
+ * Reads from data/events.json and controls visibility of event sections.
+ *
+ * events.json holds an `events` array; each event has an optional
+ * showFrom/hideFrom window (Europe/London dates), a priority (higher first)
+ * and its own `spotlight` and/or `notificationBar`. An optional `liveStream`
+ * ({ start, end } as HH:MM) tells js/live-stream.js when to watch for a
+ * stream on the spotlight's startDate. Upcoming Islamic occasions from
+ * data/occasions.json join the list at priority 0; an event with
+ * `"occasion": "<occasion id>"` stands in for that occasion in its Hijri month.
+ * Overlapping notification bars rotate (or stack, with
+ * "notificationBarMode": "stack"); the top `maxSpotlights` spotlights show.
+ *
+ * On events.html the Regular Events grid is rendered from `regularEvents`.
  */
 
-(function() {
+const EventManager = (function() {
     'use strict';
 
+    const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const MONTH_NAMES = [
+        'January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'
+    ];
+
+    // Manual events outrank occasions unless given a priority
+    const DEFAULT_EVENT_PRIORITY = 10;
+    const DEFAULT_OCCASION_PRIORITY = 0;
+    const DEFAULT_ROTATION_SECONDS = 8;
+
+    // Calendar days in London (js/london-time.js)
+    const { addDays, parseIsoDate, toIsoDate } = LondonTime;
+
+    let rotationTimer = null;
+
     // Load events data and update the page
     async function loadEvents() {
         try {
-            const response = await fetch('data/events.json?v=20260720-editorial-live');
+            const response = await fetch('data/events.json?v=20261019-occasion-months');
             if (!response.ok) {
                 throw new Error('Failed to load events data');
             }
             const data = await response.json();
 
-            updateNotificationBar(data.notificationBar);
-            updateSpotlight(data.spotlight);
+            renderRegularEvents(data.regularEvents);
+
+            const scheduled = getScheduledEvents(data);
+            const events = scheduled.concat(await getUpcomingOccasions(data.occasionOverrides, scheduled));
+            const active = events.filter(isEventConfigActive).sort(compareEvents);
+
+            updateNotificationBars(
+                active.map(event => event.notificationBar).filter(isEventConfigActive),
+                data.notificationBarMode,
+                data.rotationSeconds
+            );
+            updateSpotlights(
+                active.map(event => event.spotlight).filter(isEventConfigActive),
+                data.maxSpotlights || 1
+            );
 
         } catch (error) {
             console.error('Error loading events:', error);
@@ -26,21 +67,185 @@
         }
     }
 
-    function getTodayIsoDateInLondon() {
-        const formatter = new Intl.DateTimeFormat('en-GB', {
-            timeZone: 'Europe/London',
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit'
+    /**
+     * Normalise events.json into a list of events. The older single
+     * top-level spotlight/notificationBar objects are still accepted.
+     * Event-level enabled/showFrom/hideFrom apply to both of its parts.
+     */
+    function getScheduledEvents(data) {
+        const events = Array.isArray(data.events) ? data.events.slice() : [];
+
+        if (data.spotlight || data.notificationBar) {
+            events.push({
+                id: 'legacy',
+                spotlight: data.spotlight,
+                notificationBar: data.notificationBar
+            });
+        }
+
+        return events.map((event, index) => {
+            const schedule = {
+                enabled: event.enabled !== false,
+                showFrom: event.showFrom,
+                hideFrom: event.hideFrom
+            };
+            const inherit = config => config ? Object.assign({}, schedule, config, {
+                enabled: schedule.enabled && config.enabled !== false
+            }) : null;
+
+            return Object.assign({}, schedule, {
+                id: event.id || 'event-' + (index + 1),
+                occasion: event.occasion || '',
+                priority: typeof event.priority === 'number' ? event.priority : DEFAULT_EVENT_PRIORITY,
+                startDate: event.startDate || (event.spotlight && event.spotlight.startDate) || '',
+                spotlight: inherit(event.spotlight),
+                notificationBar: inherit(event.notificationBar)
+            });
         });
-        const parts = formatter.formatToParts(new Date()).reduce((dateParts, part) => {
-            if (part.type !== 'literal') {
-                dateParts[part.type] = part.value;
+    }
+
+    // Higher priority first, then the soonest event
+    function compareEvents(a, b) {
+        if (a.priority !== b.priority) return b.priority - a.priority;
+        return (a.startDate || '9999').localeCompare(b.startDate || '9999');
+    }
+
+    function ordinal(day) {
+        if (day >= 11 && day <= 13) return day + 'th';
+        return day + ({ 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th');
+    }
+
+    // e.g. "Saturday 18th July 2026"
+    function formatLongDate(date) {
+        return WEEKDAYS[date.getDay()] + ' ' + ordinal(date.getDate()) + ' ' + MONTH_NAMES[date.getMonth()] + ' ' + date.getFullYear();
+    }
+
+    /**
+     * Does a recurrence rule fall on this date?
+     * hijri: { day, month? } - every Hijri month unless month is given
+     * nth-weekday: { weekday, n, month? } - nth (or last, n = -1) weekday of a Gregorian month
+     */
+    function ruleMatches(rule, date, hijri) {
+        if (rule.type === 'hijri') {
+            return !!hijri && hijri.day === rule.day && (!rule.month || hijri.month === rule.month);
+        }
+
+        if (rule.type === 'nth-weekday') {
+            if (WEEKDAYS[date.getDay()] !== rule.weekday) return false;
+            if (rule.month && date.getMonth() + 1 !== rule.month) return false;
+            if (rule.n === -1) {
+                return addDays(date, 7).getMonth() !== date.getMonth();
             }
-            return dateParts;
-        }, {});
+            return Math.ceil(date.getDate() / 7) === rule.n;
+        }
+
+        return false;
+    }
 
-        return parts.year + '-' + parts.month + '-' + parts.day;
+    async function loadOccasions() {
+        try {
+            const response = await fetch('data/occasions.json?v=20261019-occasion-months');
+            if (!response.ok) {
+                throw new Error('Failed to load occasions data');
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('Error loading occasions:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Find every occasion whose announcement window is open and turn each
+     * into an event with spotlight / notification bar configs.
+     *
+     * overrides (from events.json) adjust a single occurrence, matched by
+     * occasion id and its calculated date:
+     *   { "id": "gyarwee-shareef", "occurrence": "2026-08-25", "startDate": "2026-08-22", "time": "From Maghrib" }
+     *   { "id": "gyarwee-shareef", "occurrence": "2026-08-25", "cancelled": true }
+     *
+     * An occasion isn't announced in a Hijri month that already has an
+     * enabled scheduled event for it (`"occasion": "gyarwee-shareef"`), even
+     * one whose own announcement has ended.
+     */
+    async function getUpcomingOccasions(overrides, scheduled) {
+        if (typeof PrayerTimes === 'undefined' || !PrayerTimes.getHijriDateFor) return [];
+
+        const data = await loadOccasions();
+        if (!data || !Array.isArray(data.occasions)) return [];
+
+        // "<occasion id> <Hijri month> <Hijri year>" for each scheduled stand-in
+        const heldMonths = new Set();
+        for (const event of scheduled || []) {
+            if (!event.enabled || !event.occasion || !event.startDate) continue;
+            const held = await PrayerTimes.getHijriDateFor(parseIsoDate(event.startDate));
+            heldMonths.add(event.occasion + ' ' + held.month + ' ' + held.year);
+        }
+
+        const today = LondonTime.today();
+        const lookahead = data.lookaheadDays || 60;
+        const found = [];
+
+        for (let offset = 0; offset <= lookahead; offset++) {
+            const date = addDays(today, offset);
+            const hijri = await PrayerTimes.getHijriDateFor(date);
+
+            data.occasions.forEach(occasion => {
+                if (!occasion.rule || !ruleMatches(occasion.rule, date, hijri)) return;
+                if (found.some(item => item.occasion.id === occasion.id)) return;
+                if (heldMonths.has(occasion.id + ' ' + hijri.month + ' ' + hijri.year)) return;
+
+                const override = (overrides || []).find(item =>
+                    item.id === occasion.id && item.occurrence === toIsoDate(date)
+                );
+                if (override && override.cancelled) return;
+
+                const entry = Object.assign({}, occasion, override || {});
+                const eventDate = entry.startDate ? parseIsoDate(entry.startDate) : date;
+                const announceFrom = addDays(eventDate, -(entry.announceDaysBefore || 7));
+
+                if (today >= announceFrom && today <= eventDate) {
+                    found.push({ occasion: entry, date: eventDate, hijri });
+                }
+            });
+        }
+
+        return found.map(item => buildOccasionEvent(item.occasion, item.date));
+    }
+
+    function buildOccasionEvent(occasion, date) {
+        const hideFrom = toIsoDate(addDays(date, 1));
+        const shortDate = WEEKDAYS[date.getDay()] + ' ' + ordinal(date.getDate()) + ' ' + MONTH_NAMES[date.getMonth()];
+
+        return {
+            id: occasion.id,
+            enabled: true,
+            hideFrom,
+            priority: typeof occasion.priority === 'number' ? occasion.priority : DEFAULT_OCCASION_PRIORITY,
+            startDate: toIsoDate(date),
+            spotlight: {
+                enabled: true,
+                hideFrom,
+                badgeText: occasion.badgeText || 'Upcoming Event',
+                title: occasion.title,
+                date: formatLongDate(date),
+                startDate: toIsoDate(date),
+                description: occasion.description || '',
+                time: occasion.time || '',
+                location: occasion.location || '',
+                poster: occasion.poster || '',
+                buttonText: occasion.buttonText || '',
+                buttonUrl: occasion.buttonUrl || '',
+                facebookUrl: occasion.facebookUrl || ''
+            },
+            notificationBar: {
+                enabled: true,
+                hideFrom,
+                badgeText: occasion.badgeText || 'Upcoming Event',
+                linkText: occasion.title + ' — ' + shortDate + (occasion.time ? ', ' + occasion.time.charAt(0).toLowerCase() + occasion.time.slice(1) : ''),
+                linkUrl: '#event-spotlight'
+            }
+        };
     }
 
     function isEventConfigActive(config) {
@@ -48,25 +253,93 @@
             return false;
         }
 
-        if (config.hideFrom && getTodayIsoDateInLondon() >= config.hideFrom) {
+        const today = LondonTime.todayIso();
+
+        if (config.showFrom && today < config.showFrom) {
+            return false;
+        }
+
+        if (config.hideFrom && today >= config.hideFrom) {
             return false;
         }
 
         return true;
     }
 
-    // Update the notification bar
-    function updateNotificationBar(config) {
+    /**
+     * Show every active notification bar, highest priority first: either
+     * rotating through them in the one bar, or stacked one above another
+     */
+    function updateNotificationBars(configs, mode, rotationSeconds) {
         const bar = document.getElementById('event-notification-bar');
         if (!bar) return;
 
-        if (!isEventConfigActive(config)) {
+        stopRotation();
+        document.querySelectorAll('.event-notification-bar[data-stacked]').forEach(extra => extra.remove());
+
+        if (!configs.length) {
             hideNotificationBar();
             return;
         }
 
-        // Show the bar and update content
+        renderNotificationBar(bar, configs[0]);
         bar.style.display = '';
+
+        if (configs.length === 1) return;
+
+        // Stack when asked to, and for visitors who prefer reduced motion
+        const prefersReducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        if (mode === 'stack' || prefersReducedMotion) {
+            let previous = bar;
+            configs.slice(1).forEach(config => {
+                const extra = bar.cloneNode(true);
+                extra.removeAttribute('id');
+                extra.setAttribute('data-stacked', '');
+                renderNotificationBar(extra, config);
+                previous.after(extra);
+                previous = extra;
+            });
+            return;
+        }
+
+        startRotation(bar, configs, (rotationSeconds || DEFAULT_ROTATION_SECONDS) * 1000);
+    }
+
+    function startRotation(bar, configs, interval) {
+        let index = 0;
+        let paused = false;
+
+        const pause = () => { paused = true; };
+        const resume = () => { paused = false; };
+        bar.addEventListener('mouseenter', pause);
+        bar.addEventListener('mouseleave', resume);
+        bar.addEventListener('focus', pause);
+        bar.addEventListener('blur', resume);
+
+        bar.setAttribute('data-rotating', '');
+        rotationTimer = setInterval(() => {
+            if (paused) return;
+            index = (index + 1) % configs.length;
+            renderNotificationBar(bar, configs[index]);
+            // Restart the fade-in animation for the new text
+            const textEl = bar.querySelector('.event-notif-text');
+            if (textEl) {
+                textEl.classList.remove('is-rotating');
+                void textEl.offsetWidth;
+                textEl.classList.add('is-rotating');
+            }
+        }, interval);
+    }
+
+    function stopRotation() {
+        if (rotationTimer) {
+            clearInterval(rotationTimer);
+            rotationTimer = null;
+        }
+    }
+
+    // Fill a notification bar element from its config
+    function renderNotificationBar(bar, config) {
         bar.href = config.linkUrl || '#event-spotlight';
         bar.setAttribute('aria-label', config.ariaLabel || config.linkText || 'View event details');
 
@@ -89,42 +362,68 @@
             // Parse the text to bold the event name (before the em dash)
             const parts = config.linkText.split('—');
             if (parts.length === 2) {
-                textEl.innerHTML = '<strong>' + parts[0].trim() + '</strong> — ' + parts[1].trim();
+                SafeHtml.render(textEl, SafeHtml.html`<strong>${parts[0].trim()}</strong> — ${parts[1].trim()}`);
             } else {
-                textEl.innerHTML = '<strong>' + config.linkText + '</strong>';
+                SafeHtml.render(textEl, SafeHtml.html`<strong>${config.linkText}</strong>`);
             }
         }
     }
 
     function hideNotificationBar() {
+        stopRotation();
         const bar = document.getElementById('event-notification-bar');
         if (bar) {
             bar.style.display = 'none';
         }
     }
 
-    // Update the spotlight section
-    function updateSpotlight(config) {
+    /**
+     * Show up to `max` spotlights. Extra spotlights are copies of the
+     * #event-spotlight section, numbered event-spotlight-2, -3...
+     */
+    function updateSpotlights(configs, max) {
         const section = document.getElementById('event-spotlight');
         if (!section) return;
 
-        if (!isEventConfigActive(config)) {
+        document.querySelectorAll('.event-spotlight[data-extra-spotlight]').forEach(extra => extra.remove());
+
+        const shown = configs.slice(0, max);
+        if (!shown.length) {
             hideSpotlight();
             return;
         }
 
-        // Show the section
+        renderSpotlight(section, shown[0]);
         section.style.display = '';
 
+        let previous = section;
+        shown.slice(1).forEach((config, index) => {
+            const extra = section.cloneNode(true);
+            extra.id = 'event-spotlight-' + (index + 2);
+            extra.setAttribute('data-extra-spotlight', '');
+            renderSpotlight(extra, config);
+            previous.after(extra);
+            previous = extra;
+        });
+    }
+
+    // Fill a spotlight section from its config
+    function renderSpotlight(section, config) {
         // Update badge text
         const badgeEl = section.querySelector('.spotlight-badge');
         if (badgeEl && config.badgeText) {
             badgeEl.textContent = config.badgeText;
         }
 
-        // Update poster and its full-size link
+        // Update poster and its full-size link - hide if empty, so the
+        // page's placeholder poster never stands in for another event
+        const poster = section.querySelector('.spotlight-poster');
         const posterImg = section.querySelector('.spotlight-poster img');
         const posterLink = section.querySelector('.spotlight-poster-link');
+        section.classList.toggle('no-poster', !config.poster);
+        if (poster) {
+            poster.style.display = config.poster ? '' : 'none';
+        }
         if (posterImg && config.poster) {
             posterImg.src = config.poster;
             posterImg.alt = config.title + ' Poster';
@@ -140,16 +439,18 @@
             titleEl.textContent = config.title;
         }
 
-        // Update date
+        // Update date - hide if empty
         const dateEl = section.querySelector('.spotlight-date');
-        if (dateEl && config.date) {
-            dateEl.textContent = config.date;
+        if (dateEl) {
+            dateEl.textContent = config.date || '';
+            dateEl.style.display = config.date ? '' : 'none';
         }
 
-        // Update description
+        // Update description - hide if empty
         const descEl = section.querySelector('.spotlight-description');
-        if (descEl && config.description) {
-            descEl.textContent = config.description;
+        if (descEl) {
+            descEl.textContent = config.description || '';
+            descEl.style.display = config.description ? '' : 'none';
         }
 
         // Update time - hide if empty
@@ -177,6 +478,7 @@
         // Update button - use custom URL/text or Facebook
         const btn = section.querySelector('.spotlight-fb-link');
         if (btn) {
+            btn.style.display = '';
             if (config.buttonUrl) {
                 btn.href = config.buttonUrl;
                 btn.removeAttribute('target');
@@ -191,6 +493,67 @@
         }
     }
 
+    /**
+     * Render the Regular Events grid on events.html from `regularEvents`.
+     * The static cards in the page stay as a fallback if the JSON is missing.
+     */
+    function renderRegularEvents(regularEvents) {
+        const grid = document.getElementById('regular-events-grid');
+        if (!grid || !Array.isArray(regularEvents) || !regularEvents.length) return;
+
+        grid.replaceChildren(...regularEvents.filter(item => item.enabled !== false).map(item => {
+            const card = document.createElement('div');
+            card.className = 'event-card';
+            if (item.id) card.id = item.id;
+
+            const icon = document.createElement('div');
+            icon.className = 'event-icon';
+            icon.textContent = item.icon || '🕌';
+
+            const content = document.createElement('div');
+            content.className = 'event-content';
+
+            const title = document.createElement('h3');
+            title.textContent = item.title;
+            content.appendChild(title);
+
+            if (item.schedule || item.jumuah) {
+                const schedule = document.createElement('p');
+                schedule.className = 'event-schedule';
+                schedule.textContent = item.schedule || '';
+                content.appendChild(schedule);
+
+                // Jumu'ah card takes its times from data/jumuah.json
+                if (item.jumuah) fillJumuahSchedule(schedule);
+            }
+
+            if (item.description) {
+                const description = document.createElement('p');
+                description.textContent = item.description;
+                content.appendChild(description);
+            }
+
+            card.append(icon, content);
+            return card;
+        }));
+    }
+
+    async function fillJumuahSchedule(element) {
+        if (typeof PrayerTimes === 'undefined' || !PrayerTimes.getNextJumuah) return;
+
+        const jumuah = await PrayerTimes.getNextJumuah();
+        if (!jumuah) return;
+
+        const times = jumuah.sessions.map(session => formatTime12(session.jamaat)).join(' & ');
+        element.textContent = 'Every Friday: ' + times;
+    }
+
+    // "13:30" -> "1:30 PM"
+    function formatTime12(time) {
+        const [h, m] = time.split(':').map(Number);
+        return (h % 12 || 12) + ':' + String(m).padStart(2, '0') + (h < 12 ? ' AM' : ' PM');
+    }
+
     function hideSpotlight() {
         const section = document.getElementById('event-spotlight');
         if (section) {
@@ -204,4 +567,9 @@
     } else {
         loadEvents();
     }
+
+    // Public API
+    return {
+        isEventConfigActive
+    };
 })();
@@ -0,0 +1,282 @@
+/**
+ * Calendar (ICS) Export for Greenwich Madina Trust
+ * Builds RFC 5545 .ics files from the prayer timetable and events data.
+ * Times are written as Europe/London wall-clock times with a VTIMEZONE,
+ * so phone calendars handle the BST/GMT changeover themselves.
+ *
+ * Shared by the browser (global IcsCalendar) and scripts/build-calendars.js.
+ */
+
+const IcsCalendar = (function() {
+    const UID_DOMAIN = 'greenwichmadinatrust.org.uk';
+    const LOCATION = 'Ghousia Masjid, 56 Camrose Street, London SE2 0JA';
+
+    // Jama'ats that can be exported, with their JSON fields
+    const JAMAAT_FIELDS = {
+        fajr: { name: 'Fajr', field: 'fajr_jamaat' },
+        dhuhr: { name: 'Dhuhr', field: 'dhuhr_jamaat' },
+        asr: { name: 'Asr', field: 'asr_jamaat' },
+        maghrib: { name: 'Maghrib', field: 'maghrib' },
+        isha: { name: 'Isha', field: 'isha_jamaat' }
+    };
+
+    const DEFAULT_JAMAAT_MINUTES = 15;
+
+    // Europe/London rules: BST from 01:00 UTC last Sunday of March,
+    // GMT from 01:00 UTC (02:00 BST) last Sunday of October
+    const LONDON_VTIMEZONE = [
+        'BEGIN:VTIMEZONE',
+        'TZID:Europe/London',
+        'X-LIC-LOCATION:Europe/London',
+        'BEGIN:DAYLIGHT',
+        'TZOFFSETFROM:+0000',
+        'TZOFFSETTO:+0100',
+        'TZNAME:BST',
+        'DTSTART:19700329T010000',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0000',
+        'TZNAME:GMT',
+        'DTSTART:19701025T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+
+    const MONTH_NAMES = [
+        'january', 'february', 'march', 'april', 'may', 'june',
+        'july', 'august', 'september', 'october', 'november', 'december'
+    ];
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    /**
+     * Escape TEXT values (RFC 5545 section 3.3.11)
+     */
+    function escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+     */
+    function foldLine(line) {
+        const bytes = new TextEncoder().encode(line);
+        if (bytes.length <= 75) return line;
+
+        const folded = [];
+        let current = '';
+        let currentBytes = 0;
+        // Iterate by code point so multi-byte characters are never split
+        for (const char of line) {
+            const charBytes = new TextEncoder().encode(char).length;
+            const limit = folded.length === 0 ? 75 : 74;
+            if (currentBytes + charBytes > limit) {
+                folded.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        folded.push(current);
+        return folded.join('\r\n ');
+    }
+
+    /**
+     * Local date/time value, e.g. 20260329T133000
+     */
+    function formatLocalDateTime(year, month, day, time) {
+        const [h, m] = time.split(':').map(Number);
+        return `${year}${pad(month)}${pad(day)}T${pad(h)}${pad(m)}00`;
+    }
+
+    function formatDate(year, month, day) {
+        return `${year}${pad(month)}${pad(day)}`;
+    }
+
+    function formatUtcStamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    function addMinutesToTime(time, minutes) {
+        const [h, m] = time.split(':').map(Number);
+        const total = Math.min(h * 60 + m + minutes, 23 * 60 + 59);
+        return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+    }
+
+    function slugify(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Jama'at events for one month of the timetable.
+     * `days` is the array returned by PrayerTimes.getMonthlyCalendar.
+     */
+    function buildPrayerEvents(year, month, days, options = {}) {
+        const prayers = options.prayers || Object.keys(JAMAAT_FIELDS);
+        const duration = options.durationMinutes || DEFAULT_JAMAAT_MINUTES;
+        const events = [];
+
+        (days || []).forEach(day => {
+            const isFriday = new Date(year, month - 1, day.date).getDay() === 5;
+
+            prayers.forEach(key => {
+                const prayer = JAMAAT_FIELDS[key];
+                if (!prayer) return;
+
+                const isJumuah = isFriday && key === 'dhuhr';
+                const uid = `jamaat-${year}-${pad(month)}-${pad(day.date)}-${key}`;
+
+                // Rows from PrayerTimes carry the Friday's Jumu'ah sessions;
+                // each becomes an event, the first keeping Dhuhr's UID
+                if (isJumuah && day.jumuah) {
+                    const sessions = day.jumuah.sessions;
+                    sessions.forEach((session, index) => {
+                        events.push({
+                            uid: `${uid}${index > 0 ? `-${index + 1}` : ''}@${UID_DOMAIN}`,
+                            summary: `${sessions.length > 1 && session.label ? session.label : "Jumu'ah"} Jama'at`,
+                            description: session.khutbah ? `Khutbah ${session.khutbah}` : '',
+                            location: LOCATION,
+                            start: formatLocalDateTime(year, month, day.date, session.jamaat),
+                            end: formatLocalDateTime(year, month, day.date, addMinutesToTime(session.jamaat, duration))
+                        });
+                    });
+                    return;
+                }
+
+                const time = day[prayer.field];
+                if (!time) return;
+
+                events.push({
+                    uid: `${uid}@${UID_DOMAIN}`,
+                    summary: `${isJumuah ? "Jumu'ah" : prayer.name} Jama'at`,
+                    location: LOCATION,
+                    start: formatLocalDateTime(year, month, day.date, time),
+                    end: formatLocalDateTime(year, month, day.date, addMinutesToTime(time, duration))
+                });
+            });
+        });
+
+        return events;
+    }
+
+    /**
+     * Jama'at events for every month in a yearly timetable file
+     */
+    function buildPrayerEventsForYear(data, options = {}) {
+        const year = data.metadata && data.metadata.year;
+        return MONTH_NAMES.reduce((events, monthName, index) => {
+            if (!Array.isArray(data[monthName])) return events;
+            return events.concat(buildPrayerEvents(year, index + 1, data[monthName], options));
+        }, []);
+    }
+
+    /**
+     * Event entries from data/events.json. Entries need a `startDate`
+     * (YYYY-MM-DD); `startTime`/`endTime` (HH:MM) are optional, and
+     * without a start time the entry becomes an all-day event.
+     */
+    function buildEventEntries(entries) {
+        return (entries || []).filter(entry => entry && entry.startDate).map(entry => {
+            const [year, month, day] = entry.startDate.split('-').map(Number);
+            const description = [entry.description, entry.time, entry.facebookUrl || entry.buttonUrl]
+                .filter(Boolean).join('\n');
+            const event = {
+                uid: `event-${entry.startDate}-${slugify(entry.title)}@${UID_DOMAIN}`,
+                summary: entry.title,
+                description,
+                location: entry.location || LOCATION
+            };
+
+            if (entry.startTime) {
+                event.start = formatLocalDateTime(year, month, day, entry.startTime);
+                event.end = formatLocalDateTime(year, month, day, entry.endTime || addMinutesToTime(entry.startTime, 120));
+            } else {
+                const next = new Date(Date.UTC(year, month - 1, day + 1));
+                event.allDay = true;
+                event.start = formatDate(year, month, day);
+                event.end = formatDate(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate());
+            }
+            return event;
+        });
+    }
+
+    /**
+     * Serialise events into a complete VCALENDAR
+     */
+    function createCalendar(events, options = {}) {
+        const stamp = formatUtcStamp(options.now || new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Greenwich Madina Trust//Prayer Times//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(options.name || 'Greenwich Madina Trust')}`,
+            'X-WR-TIMEZONE:Europe/London',
+            // Ask subscribed calendars to refresh daily
+            'REFRESH-INTERVAL;VALUE=DURATION:P1D',
+            'X-PUBLISHED-TTL:P1D',
+            ...LONDON_VTIMEZONE
+        ];
+
+        events.forEach(event => {
+            lines.push('BEGIN:VEVENT');
+            lines.push(`UID:${event.uid}`);
+            lines.push(`DTSTAMP:${stamp}`);
+            if (event.allDay) {
+                lines.push(`DTSTART;VALUE=DATE:${event.start}`);
+                lines.push(`DTEND;VALUE=DATE:${event.end}`);
+            } else {
+                lines.push(`DTSTART;TZID=Europe/London:${event.start}`);
+                lines.push(`DTEND;TZID=Europe/London:${event.end}`);
+            }
+            lines.push(`SUMMARY:${escapeText(event.summary)}`);
+            if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+            if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Offer an .ics file as a download (browser only)
+     */
+    function downloadCalendar(filename, content) {
+        const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Public API
+    return {
+        JAMAAT_FIELDS,
+        buildPrayerEvents,
+        buildPrayerEventsForYear,
+        buildEventEntries,
+        createCalendar,
+        downloadCalendar
+    };
+})();
+
+// Allow the build script to require this file in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IcsCalendar;
+}
@@ -0,0 +1,40 @@
+/**
+ * Jumu'ah times for Greenwich Madina Trust
+ * Picks a Friday's khutbah and jama'at sessions from data/jumuah.json: a
+ * per-Friday entry in `fridays` if there is one, otherwise the season
+ * covering the date (a season may wrap over the new year).
+ *
+ * Shared by the browser (global Jumuah, used by js/prayer-times.js) and
+ * scripts/build-calendars.js, so the site and the calendar feed agree.
+ */
+
+const Jumuah = (function() {
+    'use strict';
+
+    /**
+     * { sessions, note } for a YYYY-MM-DD date, or null if it isn't a
+     * Friday or nothing in the data covers it
+     */
+    function forDate(data, isoDate) {
+        if (!data || new Date(`${isoDate}T12:00:00Z`).getUTCDay() !== 5) return null;
+
+        const monthDay = isoDate.slice(5);
+        const override = data.fridays && data.fridays[isoDate];
+        const season = (data.seasons || []).find(entry => entry.from <= entry.to
+            ? monthDay >= entry.from && monthDay <= entry.to
+            : monthDay >= entry.from || monthDay <= entry.to);
+        const match = override || season;
+
+        if (!match || !Array.isArray(match.sessions) || !match.sessions.length) return null;
+        return { sessions: match.sessions, note: match.note || '' };
+    }
+
+    return {
+        forDate
+    };
+})();
+
+// Allow the build script to require this file in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Jumuah;
+}
@@ -0,0 +1,439 @@
+/**
+ * Live Streams for Greenwich Madina Trust
+ * Shows a "LIVE NOW" card while the channel is streaming and "upcoming
+ * live stream" cards with a countdown, in every .youtube-live-container.
+ *
+ * Streams are only looked for around known stream windows:
+ *   - Jumu'ah, from before the khutbah to after the last jama'at
+ *   - events in data/events.json on their startDate, between
+ *     `liveStream.start` and `liveStream.end` (HH:MM) if given
+ *   - streams YouTube lists as scheduled
+ * Inside a window the status is polled, backing off while nothing changes;
+ * outside one there is no polling at all. Cards update in place.
+ *
+ * Status comes from data/youtube.json (scripts/snapshot-youtube.js), or from
+ * the YouTube API when js/youtube.js has a fallback key and no snapshot.
+ */
+
+const LiveStreams = (function() {
+    'use strict';
+
+    const { html, render: renderHtml } = SafeHtml;
+
+    // Stream windows are in London time, whatever the device's time zone
+    const { addDays, at: timeOnDate, dayOf, toIsoDate } = LondonTime;
+
+    const CONFIG = {
+        channelId: 'UCTlPBYKq48KKhrdn51A7F5w',
+        eventsUrl: 'data/events.json?v=20261019-occasion-months',
+
+        // Start looking this long before a window opens
+        leadMinutes: 30,
+        // Keep looking this long after the last Jumu'ah jama'at
+        jumuahAfterMinutes: 45,
+        // Events with no liveStream times are watched for the whole day
+        eventDay: { start: '10:00', end: '23:00' },
+        // Scheduled streams are watched for this long after their start
+        streamHours: 3,
+
+        pollMinSeconds: 60,
+        pollMaxSeconds: 10 * 60,
+
+        // API fallback only: upcoming streams change rarely, so cache them
+        upcomingCacheKey: 'gmt_youtube_upcoming',
+        upcomingCacheDuration: 30 * 60 * 1000,
+
+        // TEST MODE: Set to true to simulate a live stream
+        // Remember to set back to false before going live!
+        testLiveMode: false
+    };
+
+    let status = { live: null, upcoming: [] };
+    let renderedKey = null;
+    let pollTimer = null;
+    let pollDelay = 0;
+    let countdownTimer = null;
+    let eventsRequest = null;
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    function addMinutes(date, minutes) {
+        return new Date(date.getTime() + minutes * 60 * 1000);
+    }
+
+    // ==================== STREAM WINDOWS ====================
+
+    async function getJumuahWindow(date) {
+        if (typeof PrayerTimes === 'undefined' || !PrayerTimes.getJumuahTimes) return null;
+
+        const jumuah = await PrayerTimes.getJumuahTimes(date);
+        if (!jumuah || !jumuah.sessions || !jumuah.sessions.length) return null;
+
+        const starts = jumuah.sessions.map(session => timeOnDate(date, session.khutbah || session.jamaat));
+        const jamaats = jumuah.sessions.map(session => timeOnDate(date, session.jamaat));
+        return {
+            label: "Jumu'ah",
+            start: addMinutes(new Date(Math.min(...starts)), -CONFIG.leadMinutes),
+            end: addMinutes(new Date(Math.max(...jamaats)), CONFIG.jumuahAfterMinutes)
+        };
+    }
+
+    async function getEventWindows(date) {
+        if (!eventsRequest) {
+            eventsRequest = fetch(CONFIG.eventsUrl)
+                .then(response => (response.ok ? response.json() : {}))
+                .catch(() => ({}));
+        }
+        const data = await eventsRequest;
+        const today = toIsoDate(date);
+
+        return (data.events || [])
+            .filter(event => event.enabled !== false && event.spotlight && event.spotlight.startDate === today)
+            .map(event => {
+                const times = Object.assign({}, CONFIG.eventDay, event.liveStream);
+                return {
+                    label: event.spotlight.title,
+                    start: addMinutes(timeOnDate(date, times.start), -CONFIG.leadMinutes),
+                    end: timeOnDate(date, times.end)
+                };
+            });
+    }
+
+    function getScheduledWindows(upcoming) {
+        return upcoming
+            .filter(stream => stream.scheduledStartTime)
+            .map(stream => {
+                const start = new Date(stream.scheduledStartTime);
+                return {
+                    label: stream.title,
+                    start: addMinutes(start, -CONFIG.leadMinutes),
+                    end: addMinutes(start, CONFIG.streamHours * 60)
+                };
+            });
+    }
+
+    /**
+     * Today's Jumu'ah and event windows plus any scheduled streams, soonest first
+     */
+    async function getStreamWindows(now = LondonTime.now()) {
+        const today = dayOf(now);
+        const jumuah = await getJumuahWindow(today);
+        const events = await getEventWindows(today);
+
+        return [jumuah].concat(events, getScheduledWindows(status.upcoming))
+            .filter(Boolean)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    function isInWindow(windows, now) {
+        return windows.some(window => window.start <= now && now < window.end);
+    }
+
+    // ==================== STATUS ====================
+
+    function readUpcomingCache() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(CONFIG.upcomingCacheKey));
+            if (cached && Date.now() - cached.timestamp < CONFIG.upcomingCacheDuration) {
+                return cached.upcoming;
+            }
+        } catch (e) {
+            console.warn('Cache read error:', e);
+        }
+        return null;
+    }
+
+    function writeUpcomingCache(upcoming) {
+        try {
+            localStorage.setItem(CONFIG.upcomingCacheKey, JSON.stringify({ upcoming, timestamp: Date.now() }));
+        } catch (e) {
+            console.warn('Cache write error:', e);
+        }
+    }
+
+    function fromSearchItem(item) {
+        const thumbnails = item.snippet.thumbnails || {};
+        return {
+            videoId: item.id.videoId,
+            title: item.snippet.title,
+            thumbnail: (thumbnails.high || thumbnails.medium || thumbnails.default || {}).url || ''
+        };
+    }
+
+    async function fetchApiLive() {
+        const data = await YouTubeVideos.callApi('search', {
+            part: 'snippet',
+            channelId: CONFIG.channelId,
+            eventType: 'live',
+            type: 'video'
+        });
+        return data && data.items && data.items.length ? fromSearchItem(data.items[0]) : null;
+    }
+
+    async function fetchApiUpcoming() {
+        const cached = readUpcomingCache();
+        if (cached) return cached;
+
+        const data = await YouTubeVideos.callApi('search', {
+            part: 'snippet',
+            channelId: CONFIG.channelId,
+            eventType: 'upcoming',
+            type: 'video'
+        });
+        const streams = (data && data.items || []).map(fromSearchItem);
+
+        // Search results don't carry the start time
+        if (streams.length) {
+            const details = await YouTubeVideos.callApi('videos', {
+                part: 'liveStreamingDetails',
+                id: streams.map(stream => stream.videoId).join(',')
+            });
+            (details.items || []).forEach(item => {
+                const stream = streams.find(entry => entry.videoId === item.id);
+                if (stream && item.liveStreamingDetails) {
+                    stream.scheduledStartTime = item.liveStreamingDetails.scheduledStartTime || null;
+                }
+            });
+        }
+
+        writeUpcomingCache(streams);
+        return streams;
+    }
+
+    /**
+     * Current { live, upcoming }. With the API fallback the searches are
+     * only made when `checkLive` is set, i.e. inside a stream window.
+     */
+    async function fetchStatus(checkLive) {
+        if (CONFIG.testLiveMode) {
+            console.log('🔴 TEST MODE: Simulating live stream');
+            return {
+                live: {
+                    videoId: 'dQw4w9WgXcQ', // Sample video for testing
+                    title: 'LIVE: Gyarwee Shareef - Monthly Gathering (TEST MODE)',
+                    thumbnail: 'https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg'
+                },
+                upcoming: []
+            };
+        }
+
+        const snapshot = await YouTubeVideos.loadSnapshot(true);
+        if (snapshot) {
+            return { live: snapshot.live || null, upcoming: snapshot.upcoming || [] };
+        }
+
+        if (!YouTubeVideos.hasApiKey()) return { live: null, upcoming: [] };
+
+        try {
+            return {
+                live: checkLive ? await fetchApiLive() : status.live,
+                upcoming: checkLive ? await fetchApiUpcoming() : (readUpcomingCache() || status.upcoming)
+            };
+        } catch (error) {
+            console.warn('Live stream check error:', error);
+            return status;
+        }
+    }
+
+    // ==================== RENDERING ====================
+
+    function formatCountdown(startsAt, now = LondonTime.now()) {
+        const minutes = Math.round((startsAt - now) / 60000);
+        if (minutes < 1) return 'Starting soon';
+        if (minutes < 60) return `Starts in ${minutes} min`;
+        if (minutes < 24 * 60) return `Starts in ${Math.floor(minutes / 60)}h ${pad(minutes % 60)}m`;
+
+        const days = Math.round(minutes / (24 * 60));
+        return `Starts in ${days} day${days === 1 ? '' : 's'}`;
+    }
+
+    function formatStart(startsAt) {
+        return startsAt.toLocaleString('en-GB', {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: true,
+            timeZone: LondonTime.TIME_ZONE
+        });
+    }
+
+    /**
+     * Scheduled streams still worth showing: not live, and not long past
+     * their start time
+     */
+    function getShownUpcoming(now = LondonTime.now()) {
+        const liveId = status.live && status.live.videoId;
+        return status.upcoming.filter(stream => {
+            if (stream.videoId === liveId) return false;
+            if (!stream.scheduledStartTime) return true;
+            return addMinutes(new Date(stream.scheduledStartTime), CONFIG.streamHours * 60) > now;
+        });
+    }
+
+    function renderLiveCard(live) {
+        return html`
+            <div class="live-stream-card">
+                <div class="live-badge">
+                    <span class="live-dot"></span>
+                    LIVE NOW
+                </div>
+                <button type="button" class="live-stream-link" data-video-id="${live.videoId}" data-title="${live.title}">
+                    <div class="live-thumbnail">
+                        <img src="${live.thumbnail}" alt="${live.title}">
+                        <div class="live-play-overlay">
+                            <svg viewBox="0 0 24 24" fill="currentColor">
+                                <path d="M8 5v14l11-7z"/>
+                            </svg>
+                        </div>
+                    </div>
+                    <h3 class="live-title">${live.title}</h3>
+                </button>
+            </div>
+        `;
+    }
+
+    function renderUpcomingCard(stream) {
+        const startsAt = stream.scheduledStartTime ? new Date(stream.scheduledStartTime) : null;
+        return html`
+            <div class="upcoming-stream-card">
+                <a class="upcoming-stream-link" href="https://www.youtube.com/watch?v=${encodeURIComponent(stream.videoId)}" target="_blank" rel="noopener">
+                    <img src="${stream.thumbnail}" alt="" loading="lazy">
+                    <div class="upcoming-stream-info">
+                        <span class="upcoming-badge">Upcoming live stream</span>
+                        <h3 class="upcoming-title">${stream.title}</h3>
+                        ${startsAt && html`
+                            <p class="upcoming-time">${formatStart(startsAt)}</p>
+                            <p class="upcoming-countdown" data-starts-at="${startsAt.toISOString()}">${formatCountdown(startsAt)}</p>
+                        `}
+                    </div>
+                </a>
+            </div>
+        `;
+    }
+
+    function updateCountdowns() {
+        const now = LondonTime.now();
+        document.querySelectorAll('.upcoming-countdown[data-starts-at]').forEach(element => {
+            element.textContent = formatCountdown(new Date(element.dataset.startsAt), now);
+        });
+    }
+
+    /**
+     * Redraw the cards, only when the live or scheduled streams changed
+     */
+    function render() {
+        const upcoming = getShownUpcoming();
+        const key = JSON.stringify([status.live, upcoming]);
+        if (key === renderedKey) return;
+        renderedKey = key;
+
+        const cards = [status.live && renderLiveCard(status.live), ...upcoming.map(renderUpcomingCard)].filter(Boolean);
+
+        document.querySelectorAll('.youtube-live-container').forEach(container => {
+            renderHtml(container, cards);
+            container.style.display = cards.length ? 'block' : 'none';
+        });
+
+        clearInterval(countdownTimer);
+        countdownTimer = upcoming.length ? setInterval(tick, 30 * 1000) : null;
+    }
+
+    // Drop streams that are long past, then move the countdowns on
+    function tick() {
+        render();
+        updateCountdowns();
+    }
+
+    // ==================== POLLING ====================
+
+    async function poll() {
+        const previous = JSON.stringify(status);
+        status = await fetchStatus(true);
+        const changed = JSON.stringify(status) !== previous;
+
+        render();
+        scheduleNextCheck(changed);
+    }
+
+    /**
+     * Inside a window (or while live) poll again, doubling the wait each
+     * time nothing changes. Otherwise sleep until the next window opens, or
+     * until midnight to work out tomorrow's windows.
+     */
+    async function scheduleNextCheck(changed) {
+        clearTimeout(pollTimer);
+        pollTimer = null;
+        if (document.visibilityState === 'hidden') return;
+
+        const now = LondonTime.now();
+        const windows = await getStreamWindows(now);
+
+        if (status.live || isInWindow(windows, now)) {
+            pollDelay = changed || !pollDelay
+                ? CONFIG.pollMinSeconds
+                : Math.min(pollDelay * 2, CONFIG.pollMaxSeconds);
+            pollTimer = setTimeout(poll, pollDelay * 1000);
+            return;
+        }
+
+        pollDelay = 0;
+        const next = windows.find(window => window.start > now);
+        const midnight = timeOnDate(addDays(dayOf(now), 1), '00:00');
+        if (next && next.start < midnight) {
+            pollTimer = setTimeout(poll, next.start - now);
+        } else {
+            pollTimer = setTimeout(() => scheduleNextCheck(false), midnight - now);
+        }
+    }
+
+    async function init() {
+        if (!document.querySelector('.youtube-live-container') || typeof YouTubeVideos === 'undefined') return;
+
+        // The snapshot is free to read; the API's live search is not, so
+        // with the fallback it only runs inside a window
+        const windows = await getStreamWindows();
+        status = await fetchStatus(isInWindow(windows, LondonTime.now()));
+        render();
+        scheduleNextCheck(true);
+
+        // Timers stall in background tabs, so stop there and recheck on return
+        document.addEventListener('visibilitychange', async () => {
+            if (document.visibilityState === 'hidden') {
+                clearTimeout(pollTimer);
+                pollTimer = null;
+                return;
+            }
+            updateCountdowns();
+            const now = LondonTime.now();
+            if (status.live || isInWindow(await getStreamWindows(now), now)) {
+                poll();
+            } else {
+                scheduleNextCheck(false);
+            }
+        });
+
+        document.addEventListener('click', e => {
+            const button = e.target.closest('.youtube-live-container .live-stream-link');
+            if (button) {
+                YouTubeVideos.openVideo(button.dataset.videoId, button.dataset.title);
+            }
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        getStreamWindows,
+        getStatus: () => status
+    };
+})();
@@ -0,0 +1,151 @@
+/**
+ * London Time for Greenwich Madina Trust
+ * The mosque's timetable is in London clock time, so "now", "today" and
+ * prayer times are worked out in Europe/London, whatever time zone the
+ * visitor's device is set to.
+ *
+ * A calendar day is a Date at local midnight whose getFullYear(),
+ * getMonth(), getDate() and getDay() give the London date; days are only
+ * counted and labelled, never compared with the clock. Moments (now, a
+ * jama'at) are real instants: at(day, 'HH:MM') gives the moment London
+ * clocks show that time.
+ *
+ * To preview another moment set window.GMT_TEST_DATE to a London date
+ * ('2026-07-01') or date and time ('2026-07-01T13:20'); the clock runs on
+ * from there. The older window.GMT_TIMETABLE_TEST_DATE still works.
+ */
+
+const LondonTime = (function() {
+    'use strict';
+
+    const TIME_ZONE = 'Europe/London';
+    const MINUTE_MS = 60 * 1000;
+
+    const partsFormatter = new Intl.DateTimeFormat('en-GB', {
+        timeZone: TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    });
+
+    // Set while a test date is in use: { value, start, setAt }
+    let testClock = null;
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    /**
+     * The London date and clock time of a moment, as numbers
+     */
+    function getParts(moment) {
+        const parts = {};
+        partsFormatter.formatToParts(moment).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = Number(part.value);
+        });
+        return parts;
+    }
+
+    // Minutes London is ahead of UTC at a moment: 60 in BST, otherwise 0
+    function getOffsetMinutes(moment) {
+        const parts = getParts(moment);
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((wallClock - Math.floor(moment.getTime() / 1000) * 1000) / MINUTE_MS);
+    }
+
+    function parseIsoDate(value) {
+        const [year, month, day] = String(value).split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    function toIsoDate(day) {
+        return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+    }
+
+    function addDays(day, days) {
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate() + days);
+    }
+
+    /**
+     * The London calendar day a moment falls on
+     */
+    function dayOf(moment) {
+        const parts = getParts(moment);
+        return new Date(parts.year, parts.month - 1, parts.day);
+    }
+
+    /**
+     * The moment London clocks show `time` ("HH:MM") on a calendar day.
+     * A time skipped when the clocks go forward comes out an hour later;
+     * a time repeated when they go back gives the second (GMT) one.
+     */
+    function at(day, time) {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        const wallClock = Date.UTC(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+        const guess = wallClock - getOffsetMinutes(new Date(wallClock)) * MINUTE_MS;
+        return new Date(wallClock - getOffsetMinutes(new Date(guess)) * MINUTE_MS);
+    }
+
+    function readTestDate(value) {
+        // A timestamp with its own zone ("Z", "+01:00") is taken as given
+        if (/(?:Z|[+-]\d{2}:?\d{2})$/i.test(value)) return new Date(value);
+
+        const match = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{1,2}:\d{2}))?$/.exec(value.trim());
+        return match ? at(parseIsoDate(match[1]), match[2] || '00:00') : new Date(NaN);
+    }
+
+    function getTestDateSetting() {
+        if (typeof window === 'undefined') return '';
+        return String(window.GMT_TEST_DATE || window.GMT_TIMETABLE_TEST_DATE || '');
+    }
+
+    /**
+     * The current moment, or the test date's clock if one is set
+     */
+    function now() {
+        const value = getTestDateSetting();
+        if (!value) {
+            testClock = null;
+            return new Date();
+        }
+
+        if (!testClock || testClock.value !== value) {
+            testClock = { value, start: readTestDate(value).getTime(), setAt: Date.now() };
+            if (Number.isNaN(testClock.start)) {
+                console.warn('Ignoring unreadable test date:', value);
+            }
+        }
+        if (Number.isNaN(testClock.start)) return new Date();
+        return new Date(testClock.start + Date.now() - testClock.setAt);
+    }
+
+    /**
+     * Today's London calendar day
+     */
+    function today() {
+        return dayOf(now());
+    }
+
+    // Public API
+    return {
+        TIME_ZONE,
+        now,
+        today,
+        todayIso: () => toIsoDate(today()),
+        dayOf,
+        at,
+        getParts,
+        parseIsoDate,
+        toIsoDate,
+        addDays
+    };
+})();
+
+// Allow use from Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LondonTime;
+}
@@ -19,6 +19,9 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Dynamic footer year
     initCurrentYear();
+
+    // Offline support and home screen install
+    initServiceWorker();
 });
 
 /**
@@ -223,12 +226,23 @@ function initFaqAccordions() {
  * Dynamic Footer Year
  */
 function initCurrentYear() {
-    const currentYear = new Date().getFullYear();
+    const currentYear = LondonTime.today().getFullYear();
     document.querySelectorAll('[data-current-year]').forEach(el => {
         el.textContent = currentYear;
     });
 }
 
+/**
+ * Service Worker (sw.js) - caches the timetable for use without signal
+ */
+function initServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
 /**
  * Smooth Scroll
  */
@@ -0,0 +1,314 @@
+/**
+ * Media Library for Greenwich Madina Trust
+ * Lists every upload from data/youtube-library.json (written by
+ * scripts/snapshot-youtube.js), grouped into the series in
+ * data/media-series.json and the channel's other playlists.
+ *
+ * On media.html: title search, series filters and pages, kept in the URL
+ * (?q=&series=&page=). media.html?v=<id> opens that video in the lightbox
+ * from js/youtube.js. On events.html the latest recordings link there.
+ *
+ * Until the snapshot has first run, the library file doesn't exist and both
+ * pages keep their static fallback cards (.youtube-fallback).
+ */
+
+const MediaLibrary = (function() {
+    'use strict';
+
+    const { html, raw, render } = SafeHtml;
+
+    const LIBRARY_URL = 'data/youtube-library.json';
+    const SERIES_URL = 'data/media-series.json';
+    const PAGE_SIZE = 12;
+    const CHANNEL_URL = 'https://www.youtube.com/channel/UCTlPBYKq48KKhrdn51A7F5w';
+
+    let videos = [];
+    let groups = [];
+
+    // Lower-case without accents or apostrophes, so "jumuah" finds "Jumu'ah"
+    function normalizeText(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f\u02bb\u02bf\u2018\u2019']/g, '')
+            .toLowerCase();
+    }
+
+    async function loadJson(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`Failed to load ${url}`);
+        return response.json();
+    }
+
+    /**
+     * Series from media-series.json first, then any playlist not folded
+     * into a series. Each group is { id, title, videoIds: Set }.
+     */
+    function buildGroups(library, seriesConfig) {
+        const playlists = library.playlists || [];
+        const claimed = new Set();
+
+        const series = (seriesConfig.series || []).map(entry => {
+            const keywords = (entry.keywords || []).map(normalizeText);
+            const matches = title => keywords.some(keyword => normalizeText(title).includes(keyword));
+            const videoIds = new Set();
+
+            playlists.filter(playlist => matches(playlist.title)).forEach(playlist => {
+                claimed.add(playlist.id);
+                playlist.videoIds.forEach(id => videoIds.add(id));
+            });
+            library.videos.filter(video => matches(video.title)).forEach(video => videoIds.add(video.videoId));
+
+            return { id: entry.id, title: entry.title, videoIds };
+        });
+
+        const others = playlists
+            .filter(playlist => !claimed.has(playlist.id))
+            .map(playlist => ({ id: playlist.id, title: playlist.title, videoIds: new Set(playlist.videoIds) }));
+
+        return series.concat(others).filter(group => group.videoIds.size > 0);
+    }
+
+    function formatDate(isoDate) {
+        const date = new Date(isoDate);
+        if (Number.isNaN(date.getTime())) return '';
+        return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Europe/London' });
+    }
+
+    function renderCard(video, tag) {
+        const date = formatDate(video.publishedAt);
+        const attributes = tag === 'a'
+            ? html`href="media.html?v=${encodeURIComponent(video.videoId)}"`
+            : html`type="button" data-video-id="${video.videoId}"`;
+
+        return html`
+            <${raw(tag)} class="youtube-video-card" ${attributes}>
+                <div class="video-thumbnail">
+                    <img src="${video.thumbnail}" alt="" loading="lazy">
+                    <div class="video-play-icon">
+                        <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                            <path d="M8 5v14l11-7z"/>
+                        </svg>
+                    </div>
+                </div>
+                <h3 class="video-title">${video.title}</h3>
+                ${date && html`<p class="video-date">${date}</p>`}
+            </${raw(tag)}>
+        `;
+    }
+
+    function readState() {
+        const params = new URLSearchParams(window.location.search);
+        return {
+            q: params.get('q') || '',
+            series: params.get('series') || '',
+            page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+            v: params.get('v') || ''
+        };
+    }
+
+    function writeState(state, push) {
+        const params = new URLSearchParams();
+        if (state.q) params.set('q', state.q);
+        if (state.series) params.set('series', state.series);
+        if (state.page > 1) params.set('page', state.page);
+        if (state.v) params.set('v', state.v);
+        const query = params.toString();
+        history[push ? 'pushState' : 'replaceState'](null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    }
+
+    function filterVideos(state) {
+        const group = groups.find(item => item.id === state.series);
+        const terms = normalizeText(state.q).split(/\s+/).filter(Boolean);
+
+        return videos.filter(video => {
+            if (group && !group.videoIds.has(video.videoId)) return false;
+            return terms.every(term => video.searchText.includes(term));
+        });
+    }
+
+    function renderSeriesFilters(state) {
+        const container = document.getElementById('media-series-filters');
+        const options = [{ id: '', title: 'All videos', count: videos.length }].concat(
+            groups.map(group => ({
+                id: group.id,
+                title: group.title,
+                count: videos.filter(video => group.videoIds.has(video.videoId)).length
+            }))
+        );
+
+        render(container, options.map(option => html`
+            <button type="button" class="media-series-filter" data-series="${option.id}" aria-pressed="${String(option.id === state.series)}">
+                ${option.title} <span class="media-series-count">${option.count}</span>
+            </button>
+        `));
+    }
+
+    function renderPagination(page, pageCount) {
+        const nav = document.getElementById('media-pagination');
+        if (pageCount <= 1) {
+            nav.hidden = true;
+            render(nav, '');
+            return;
+        }
+        const pages = Array.from({ length: pageCount }, (_, index) => index + 1);
+        nav.hidden = false;
+        render(nav, html`
+            <button type="button" data-page="${page - 1}" ${page === 1 && html`disabled`}>Newer</button>
+            ${pages.map(number => html`<button type="button" data-page="${number}" ${number === page && html`aria-current="page"`}>${number}</button>`)}
+            <button type="button" data-page="${page + 1}" ${page === pageCount && html`disabled`}>Older</button>
+        `);
+    }
+
+    function renderLibrary() {
+        const grid = document.getElementById('media-library-grid');
+        const form = document.getElementById('media-library-filters');
+        const status = document.getElementById('media-library-status');
+        const state = readState();
+        const matches = filterVideos(state);
+        const pageCount = Math.max(1, Math.ceil(matches.length / PAGE_SIZE));
+        const page = Math.min(state.page, pageCount);
+        const filtered = Boolean(state.q || state.series);
+
+        // Don't rewrite the box while someone is typing in it
+        if (document.activeElement !== form.elements.q) {
+            form.elements.q.value = state.q;
+        }
+        renderSeriesFilters(state);
+        status.textContent = filtered ? `${matches.length} video${matches.length === 1 ? '' : 's'} found` : '';
+        document.getElementById('media-library-clear').hidden = !filtered;
+
+        if (!matches.length) {
+            render(grid, html`<p class="youtube-error">No videos match. Try a different search or series.</p>`);
+            renderPagination(1, 1);
+            return;
+        }
+
+        render(grid, matches.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE).map(video => renderCard(video, 'button')));
+        renderPagination(page, pageCount);
+    }
+
+    /**
+     * Open the video named by ?v=, and drop it from the URL on close
+     */
+    function openVideoFromUrl() {
+        const id = readState().v;
+        if (!id || typeof YouTubeVideos === 'undefined') return;
+
+        const video = videos.find(item => item.videoId === id);
+        YouTubeVideos.openVideo(id, video ? video.title : '', () => {
+            if (readState().v === id) {
+                writeState({ ...readState(), v: '' }, false);
+            }
+        });
+    }
+
+    function initControls() {
+        const form = document.getElementById('media-library-filters');
+        let searchTimer = null;
+
+        form.addEventListener('submit', e => e.preventDefault());
+        form.elements.q.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                writeState({ ...readState(), q: form.elements.q.value.trim(), page: 1 }, false);
+                renderLibrary();
+            }, 250);
+        });
+
+        document.getElementById('media-series-filters').addEventListener('click', e => {
+            const button = e.target.closest('button[data-series]');
+            if (!button) return;
+            writeState({ ...readState(), series: button.dataset.series, page: 1 }, true);
+            renderLibrary();
+        });
+
+        document.getElementById('media-library-clear').addEventListener('click', () => {
+            writeState({ q: '', series: '', page: 1, v: '' }, true);
+            renderLibrary();
+        });
+
+        document.getElementById('media-pagination').addEventListener('click', e => {
+            const button = e.target.closest('button[data-page]');
+            if (!button || button.disabled) return;
+            writeState({ ...readState(), page: Number(button.dataset.page) }, true);
+            renderLibrary();
+            form.scrollIntoView({ block: 'start' });
+        });
+
+        document.getElementById('media-library-grid').addEventListener('click', e => {
+            const card = e.target.closest('[data-video-id]');
+            if (!card) return;
+            writeState({ ...readState(), v: card.dataset.videoId }, true);
+            openVideoFromUrl();
+        });
+
+        window.addEventListener('popstate', () => {
+            renderLibrary();
+            openVideoFromUrl();
+        });
+    }
+
+    async function loadLibrary() {
+        const [library, seriesConfig] = await Promise.all([
+            loadJson(LIBRARY_URL),
+            loadJson(SERIES_URL).catch(() => ({ series: [] }))
+        ]);
+        videos = (library.videos || []).map(video => ({ ...video, searchText: normalizeText(video.title) }));
+        groups = buildGroups(library, seriesConfig);
+    }
+
+    /**
+     * The newest recordings as cards linking to media.html?v=<id>
+     */
+    async function renderLatest(containerId, count) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        try {
+            const library = await loadJson(LIBRARY_URL);
+            const latest = (library.videos || []).slice(0, count);
+            if (!latest.length) throw new Error('No videos in the library');
+            render(container, latest.map(video => renderCard(video, 'a')));
+        } catch (error) {
+            console.warn('Could not load recordings:', error);
+            if (!container.querySelector('.youtube-fallback')) {
+                render(container, html`<p class="youtube-error">Recordings are on our <a href="${CHANNEL_URL}" target="_blank" rel="noopener">YouTube channel</a>.</p>`);
+            }
+        }
+    }
+
+    async function init() {
+        const grid = document.getElementById('media-library-grid');
+        if (grid) {
+            try {
+                await loadLibrary();
+                initControls();
+                renderLibrary();
+                openVideoFromUrl();
+            } catch (error) {
+                console.warn('Media library error:', error);
+                if (grid.querySelector('.youtube-fallback')) {
+                    // Nothing to search or filter in the static cards
+                    document.getElementById('media-library-filters').hidden = true;
+                    document.getElementById('media-series-filters').hidden = true;
+                } else {
+                    render(grid, html`<p class="youtube-error">Unable to load videos. Please visit our <a href="${CHANNEL_URL}" target="_blank" rel="noopener">YouTube channel</a> directly.</p>`);
+                }
+            }
+        }
+
+        renderLatest('past-recordings-grid', 4);
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        renderLatest
+    };
+})();
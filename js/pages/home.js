@@ -0,0 +1,181 @@
+/**
+ * Homepage (index.html)
+ * Starts the hero carousel and fills the Latest Updates carousel with the
+ * three newest posts from the news feed.
+ */
+
+import { formatFallbackDate, linkAttributes, loadNews } from './news-common.js';
+
+// js/safe-html.js is loaded as a classic script before this module
+const { html, render } = SafeHtml;
+
+const LATEST_POST_COUNT = 3;
+
+export function newsFirstImage(post) {
+    return (post.poster && post.poster.url) || (post.gallery && post.gallery[0] && post.gallery[0].url) || '';
+}
+
+export function newsIsPortrait(post) {
+    return !!post.poster && !(post.gallery && post.gallery.length);
+}
+
+/**
+ * Shorten text to about maxLength characters, preferring to end at a
+ * sentence, then at a word (with an ellipsis)
+ */
+export function clampText(text, maxLength) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!normalized) return '';
+    if (normalized.length <= maxLength) return normalized;
+
+    const sentenceBoundary = normalized.slice(0, maxLength + 20).search(/[.!?](?=\s|$)/);
+    if (sentenceBoundary >= Math.max(36, maxLength - 18)) {
+        return normalized.slice(0, sentenceBoundary + 1);
+    }
+
+    const softBreak = normalized.lastIndexOf(' ', maxLength);
+    const cutoff = softBreak >= Math.max(30, maxLength - 16) ? softBreak : maxLength;
+    return `${normalized.slice(0, cutoff).trimEnd()}…`;
+}
+
+/**
+ * The first English paragraph of a post, clamped
+ */
+export function newsExcerpt(post, maxLength = 165) {
+    const blocks = post.text_blocks || [];
+    const candidate = blocks.find(block => !/[\u0600-\u06FF]/.test(block) && !/^https?:/.test(block));
+    if (!candidate) return '';
+    return clampText(candidate, maxLength);
+}
+
+export function renderNewsCard(post, fallbackDate) {
+    const staticDate = post.published_date || fallbackDate || post.published_label || '';
+    const portrait = newsIsPortrait(post);
+    const readMore = `news.html#${encodeURIComponent(post.slug)}`;
+    let actions;
+
+    if (post.action_url) {
+        actions = html`<a href="${post.action_url}" ${linkAttributes(post.action_url)} class="btn btn-primary btn-sm">${post.action_label || 'Learn more'}</a><a href="${readMore}" class="news-archive-link">Read more</a>`;
+    } else if (post.donation_url) {
+        actions = html`<a href="${post.donation_url}" target="_blank" rel="noopener noreferrer" class="btn btn-primary btn-sm">Donate now</a><a href="${readMore}" class="news-archive-link">Read more</a>`;
+    } else {
+        actions = html`<a href="${readMore}" class="btn btn-primary btn-sm">Read more</a><a href="${post.source_url}" target="_blank" rel="noopener" class="news-archive-link">View on Facebook</a>`;
+    }
+
+    return html`
+        <div class="swiper-slide">
+            <article class="latest-update-card">
+                ${newsFirstImage(post) && html`<div class="latest-update-media ${portrait ? 'is-portrait' : ''}"><div class="latest-update-media-stage ${portrait ? 'is-portrait-stage' : ''}"><img src="${newsFirstImage(post)}" alt="${post.title}" loading="lazy"></div></div>`}
+                <div class="latest-update-body">
+                    <div class="latest-update-meta">
+                        <span class="latest-update-pill">${post.eyebrow || 'Update'}</span>
+                        <span>${staticDate}</span>
+                    </div>
+                    <h3 class="latest-update-title">${clampText(post.title, portrait ? 64 : 74)}</h3>
+                    <p class="latest-update-excerpt">${newsExcerpt(post, portrait ? 150 : 180)}</p>
+                    <div class="latest-update-actions">${actions}</div>
+                </div>
+            </article>
+        </div>
+    `;
+}
+
+/**
+ * Render the latest posts into #latest-updates-wrapper and start its carousel
+ */
+export async function initLatestUpdates(win = window) {
+    const root = win.document.getElementById('latest-updates-wrapper');
+    if (!root) return;
+
+    try {
+        const data = await loadNews(win);
+        const posts = (data.posts || []).slice(0, LATEST_POST_COUNT);
+        const fallbackDate = formatFallbackDate(data.updated_at);
+        render(root, posts.map(post => renderNewsCard(post, fallbackDate)));
+
+        function updateLatestStatus() {
+            const status = win.document.getElementById('latest-updates-status');
+            if (!status || !win.latestUpdatesSwiper) return;
+            const swiper = win.latestUpdatesSwiper;
+            const total = posts.length;
+            const configured = Number(swiper.params.slidesPerView) || 1;
+            const visible = Math.min(configured, total);
+            const start = Math.min(swiper.activeIndex + 1, total);
+            const end = Math.min(start + visible - 1, total);
+            status.textContent = visible === 1 ? `${start} of ${total}` : `${start}–${end} of ${total}`;
+        }
+
+        win.latestUpdatesSwiper = new win.Swiper('#latest-updates-carousel', {
+            slidesPerView: 2,
+            spaceBetween: 24,
+            centeredSlides: false,
+            watchOverflow: true,
+            navigation: {
+                nextEl: '.latest-updates-next',
+                prevEl: '.latest-updates-prev'
+            },
+            keyboard: {
+                enabled: true,
+                onlyInViewport: true
+            },
+            breakpoints: {
+                0: {
+                    slidesPerView: 1,
+                    spaceBetween: 12
+                },
+                681: {
+                    slidesPerView: 2,
+                    spaceBetween: 16
+                },
+                900: {
+                    slidesPerView: 2,
+                    spaceBetween: 24
+                }
+            },
+            on: {
+                init: updateLatestStatus,
+                breakpoint: updateLatestStatus,
+                resize: updateLatestStatus,
+                slideChange: updateLatestStatus
+            }
+        });
+    } catch (error) {
+        render(root, html`<div class="swiper-slide"><p>Could not load news: ${error.message}</p></div>`);
+    }
+}
+
+/**
+ * Hero carousel. Stored on window so youtube.js can call update() after
+ * showing the spotlight slide.
+ */
+export function initHeroCarousel(win = window) {
+    win.heroSwiper = new win.Swiper('#hero-carousel', {
+        loop: true,
+        autoplay: {
+            delay: 10000,
+            disableOnInteraction: false,
+            pauseOnMouseEnter: true
+        },
+        effect: 'fade',
+        fadeEffect: {
+            crossFade: true
+        },
+        navigation: {
+            nextEl: '.swiper-button-next',
+            prevEl: '.swiper-button-prev'
+        },
+        pagination: {
+            el: '.swiper-pagination',
+            clickable: true
+        },
+        keyboard: {
+            enabled: true,
+            onlyInViewport: true
+        }
+    });
+}
+
+if (typeof document !== 'undefined' && document.getElementById('hero-carousel')) {
+    initHeroCarousel();
+    initLatestUpdates();
+}
@@ -0,0 +1,35 @@
+/**
+ * Shared by the news archive (news.js) and the homepage carousel (home.js)
+ */
+
+export const NEWS_URL = 'data/facebook-news-preview.json';
+
+/**
+ * Open outside links in a new tab
+ */
+export function linkAttributes(url) {
+    return /^https?:\/\//i.test(String(url || ''))
+        && SafeHtml.html`target="_blank" rel="noopener noreferrer"`;
+}
+
+/**
+ * Date shown for posts without their own, from the feed's updated_at
+ */
+export function formatFallbackDate(updatedAt) {
+    if (!updatedAt) return '';
+    return new Date(`${updatedAt}T12:00:00Z`).toLocaleDateString('en-GB', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * The news feed, fetched through `win` so tests can supply their own fetch
+ */
+export async function loadNews(win) {
+    const response = await win.fetch(NEWS_URL, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+}
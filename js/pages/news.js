@@ -0,0 +1,292 @@
+/**
+ * News archive (news.html)
+ * Renders data/facebook-news-preview.json as a searchable list, five
+ * posts a page under month headings. Filters are kept in the URL
+ * (?q=&category=&page=) for sharing. Posts are linked by slug
+ * (news.html#<slug>); old index-based links (#post-1, #post-2...) are
+ * redirected via legacy_anchors.
+ */
+
+import { formatFallbackDate, linkAttributes, loadNews } from './news-common.js';
+
+// js/safe-html.js is loaded as a classic script before this module
+const { html, render } = SafeHtml;
+
+const PAGE_SIZE = 5;
+
+export function isArabicLine(text) {
+    return /[\u0600-\u06FF]/.test(text) && text.replace(/[\u0600-\u06FF\s،۔,:;!?.\-]/g, '').length < 8;
+}
+
+function renderTextBlocks(blocks) {
+    return (blocks || []).map(block => {
+        if (/^https?:\/\//.test(block)) {
+            return html`<p><a href="${block}" target="_blank" rel="noopener">${block}</a></p>`;
+        }
+        return html`<p class="${isArabicLine(block) ? 'arabic' : ''}">${block}</p>`;
+    });
+}
+
+function renderDetails(details) {
+    if (!details || !details.length) return '';
+    return html`
+        <div class="news-detail-grid">
+            ${details.map(detail => html`
+                <div class="news-detail">
+                    <div class="news-detail-label">${detail.label}</div>
+                    <div class="news-detail-value">${detail.value}</div>
+                </div>
+            `)}
+        </div>
+    `;
+}
+
+function renderGallery(gallery) {
+    if (!gallery || !gallery.length) return '';
+    return html`
+        <div class="news-gallery">
+            ${gallery.map(image => html`<img src="${image.url}" alt="${image.alt || ''}" loading="lazy">`)}
+        </div>
+    `;
+}
+
+function renderPoster(poster) {
+    if (!poster) return '';
+    return html`<div class="news-poster"><img src="${poster.url}" alt="${poster.alt || ''}" loading="lazy"></div>`;
+}
+
+export function renderPost(post, fallbackDate) {
+    const staticDate = post.published_date || fallbackDate || post.published_label || '';
+    return html`
+        <article class="news-article" id="${post.slug}">
+            <div class="news-article-body">
+                <div class="news-meta">
+                    <span class="news-pill">${post.eyebrow || 'Update'}</span>
+                    <span class="news-date">${staticDate}</span>
+                </div>
+                <h3>${post.title}</h3>
+                <div class="news-prose">${renderTextBlocks(post.text_blocks || [])}</div>
+                ${post.action_url && html`<div class="news-actions news-actions-inline"><a class="btn btn-primary" href="${post.action_url}" ${linkAttributes(post.action_url)}>${post.action_label || 'Learn more'}</a>${post.related_url && html`<a class="btn btn-secondary" href="${post.related_url}" ${linkAttributes(post.related_url)}>${post.related_label || 'Related information'}</a>`}</div>`}
+                ${renderDetails(post.key_details || [])}
+                ${renderPoster(post.poster)}
+                ${renderGallery(post.gallery || [])}
+                ${!post.action_url && html`
+                <div class="news-actions">
+                    ${post.donation_url ? html`<a class="btn btn-primary" href="${post.donation_url}" target="_blank" rel="noopener noreferrer">Donate now</a>` : html`<a class="btn btn-primary" href="${post.source_url}" target="_blank" rel="noopener">View post on Facebook</a>`}
+                </div>`}
+            </div>
+        </article>
+    `;
+}
+
+/**
+ * Lower-case and drop Latin accents and Arabic harakat/tatweel, so
+ * "jumuah" finds "Jumuʿah" and unvowelled Arabic finds vowelled text
+ */
+export function normalizeSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f\u02bb\u02bf\u2018\u2019']/g, '')
+        .replace(/[\u064b-\u065f\u0670\u0640]/g, '')
+        .toLowerCase();
+}
+
+function buildSearchText(post) {
+    const details = (post.key_details || []).map(detail => `${detail.label} ${detail.value}`);
+    return normalizeSearchText([post.title, post.eyebrow, ...(post.text_blocks || []), ...details].join(' '));
+}
+
+export function getPostMonth(post) {
+    const match = /([A-Za-z]+) (\d{4})$/.exec(post.published_date || '');
+    return match ? `${match[1]} ${match[2]}` : 'Earlier';
+}
+
+/**
+ * Posts matching every search word, in the chosen category
+ */
+export function filterPosts(posts, filters) {
+    const terms = normalizeSearchText(filters.q).split(/\s+/).filter(Boolean);
+    return posts.filter(post => {
+        if (filters.category && post.eyebrow !== filters.category) return false;
+        const searchText = post.searchText || buildSearchText(post);
+        return terms.every(term => searchText.includes(term));
+    });
+}
+
+function readFilters(win) {
+    const params = new URLSearchParams(win.location.search);
+    return {
+        q: params.get('q') || '',
+        category: params.get('category') || '',
+        page: Math.max(1, parseInt(params.get('page'), 10) || 1)
+    };
+}
+
+function writeFilters(win, filters, push) {
+    const params = new URLSearchParams();
+    if (filters.q) params.set('q', filters.q);
+    if (filters.category) params.set('category', filters.category);
+    if (filters.page > 1) params.set('page', filters.page);
+    const query = params.toString();
+    const url = `${win.location.pathname}${query ? `?${query}` : ''}`;
+    win.history[push ? 'pushState' : 'replaceState'](null, '', url);
+}
+
+/**
+ * Load the feed and render the archive into #news-root
+ */
+export async function initNewsArchive(win = window) {
+    const document = win.document;
+    const root = document.getElementById('news-root');
+    let allPosts = [];
+    let legacyAnchors = {};
+    let fallbackDate = '';
+
+    function scrollToHashTarget() {
+        let id = decodeURIComponent((win.location.hash || '').slice(1).split('?')[0]);
+        if (!id) return;
+        if (legacyAnchors[id]) {
+            id = legacyAnchors[id];
+            win.history.replaceState(null, '', `#${id}`);
+        }
+        const target = document.getElementById(id);
+        if (!target) return;
+        win.requestAnimationFrame(() => {
+            target.scrollIntoView({ block: 'start' });
+        });
+    }
+
+    function renderCategoryOptions(select) {
+        const counts = allPosts.reduce((acc, post) => {
+            if (post.eyebrow) acc[post.eyebrow] = (acc[post.eyebrow] || 0) + 1;
+            return acc;
+        }, {});
+        render(select, html`
+            <option value="">All categories</option>
+            ${Object.keys(counts).sort().map(category => html`<option value="${category}">${category} (${counts[category]})</option>`)}
+        `);
+    }
+
+    function renderPagination(page, pageCount) {
+        const nav = document.getElementById('news-pagination');
+        if (pageCount <= 1) {
+            nav.hidden = true;
+            render(nav, '');
+            return;
+        }
+        const pages = Array.from({ length: pageCount }, (_, index) => index + 1);
+        nav.hidden = false;
+        render(nav, html`
+            <button type="button" data-page="${page - 1}" ${page === 1 && html`disabled`}>Newer</button>
+            ${pages.map(number => html`<button type="button" data-page="${number}" ${number === page && html`aria-current="page"`}>${number}</button>`)}
+            <button type="button" data-page="${page + 1}" ${page === pageCount && html`disabled`}>Older</button>
+        `);
+    }
+
+    function renderArchive() {
+        const form = document.getElementById('news-filters');
+        const status = document.getElementById('news-results-status');
+        const filters = readFilters(win);
+        const matches = filterPosts(allPosts, filters);
+        const pageCount = Math.max(1, Math.ceil(matches.length / PAGE_SIZE));
+        const page = Math.min(filters.page, pageCount);
+        const shown = matches.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+        const filtered = Boolean(filters.q || filters.category);
+
+        // Don't rewrite the box while someone is typing in it
+        if (document.activeElement !== form.elements.q) form.elements.q.value = filters.q;
+        form.elements.category.value = filters.category;
+        status.textContent = filtered ? `${matches.length} post${matches.length === 1 ? '' : 's'} found` : '';
+        document.getElementById('news-filters-clear').hidden = !filtered;
+
+        if (!shown.length) {
+            root.className = 'news-error';
+            render(root, html`<strong>No posts match.</strong><p>Try a different search or category.</p>`);
+            renderPagination(1, 1);
+            return;
+        }
+
+        // Group the page's posts under month headings
+        let currentMonth = '';
+        root.className = 'news-stack';
+        render(root, shown.map(post => {
+            const month = getPostMonth(post);
+            const heading = month !== currentMonth && html`<h2 class="news-month">${month}</h2>`;
+            currentMonth = month;
+            return html`${heading}${renderPost(post, fallbackDate)}`;
+        }));
+        renderPagination(page, pageCount);
+    }
+
+    /**
+     * A link to news.html#<slug> opens the archive page holding that
+     * post, with any filters cleared
+     */
+    function showPageForHash() {
+        let id = decodeURIComponent((win.location.hash || '').slice(1).split('?')[0]);
+        id = legacyAnchors[id] || id;
+        const index = allPosts.findIndex(post => post.slug === id);
+        if (index === -1 || document.getElementById(id)) return;
+
+        const page = Math.floor(index / PAGE_SIZE) + 1;
+        win.history.replaceState(null, '', `${win.location.pathname}${page > 1 ? `?page=${page}` : ''}${win.location.hash}`);
+        renderArchive();
+    }
+
+    function initFilters() {
+        const form = document.getElementById('news-filters');
+        let searchTimer = null;
+
+        renderCategoryOptions(form.elements.category);
+
+        form.addEventListener('submit', e => e.preventDefault());
+        form.elements.q.addEventListener('input', () => {
+            win.clearTimeout(searchTimer);
+            searchTimer = win.setTimeout(() => {
+                writeFilters(win, { ...readFilters(win), q: form.elements.q.value.trim(), page: 1 }, false);
+                renderArchive();
+            }, 250);
+        });
+        form.elements.category.addEventListener('change', () => {
+            writeFilters(win, { ...readFilters(win), category: form.elements.category.value, page: 1 }, true);
+            renderArchive();
+        });
+        document.getElementById('news-filters-clear').addEventListener('click', () => {
+            writeFilters(win, { q: '', category: '', page: 1 }, true);
+            renderArchive();
+        });
+        document.getElementById('news-pagination').addEventListener('click', e => {
+            const button = e.target.closest('button[data-page]');
+            if (!button || button.disabled) return;
+            writeFilters(win, { ...readFilters(win), page: Number(button.dataset.page) }, true);
+            renderArchive();
+            form.scrollIntoView({ block: 'start' });
+        });
+        win.addEventListener('popstate', renderArchive);
+    }
+
+    win.addEventListener('hashchange', () => {
+        showPageForHash();
+        scrollToHashTarget();
+    });
+
+    try {
+        const data = await loadNews(win);
+        const posts = data.posts || [];
+        fallbackDate = formatFallbackDate(data.updated_at);
+        if (!posts.length) throw new Error('No posts found');
+        allPosts = posts.map(post => ({ ...post, searchText: buildSearchText(post) }));
+        legacyAnchors = data.legacy_anchors || {};
+        initFilters();
+        renderArchive();
+        showPageForHash();
+        scrollToHashTarget();
+    } catch (error) {
+        root.className = 'news-error';
+        render(root, html`<strong>Could not load news.</strong><p>${error.message}</p>`);
+    }
+}
+
+if (typeof document !== 'undefined' && document.getElementById('news-root')) {
+    initNewsArchive();
+}
@@ -0,0 +1,215 @@
+/**
+ * Prayer times page (prayer-times.html)
+ * Links the current month's timetable PDF and the archive, shows the
+ * Ramadan timetable during Ramadan, shows every time for a chosen day,
+ * fills in the Jumu'ah note and offers the month's jama'at times as an
+ * .ics download.
+ *
+ * Relies on LondonTime, PrayerTimes, Timetables and IcsCalendar from the
+ * classic scripts loaded before it. Every function takes the window it
+ * works on, so tests can pass one with their own fetch and clock.
+ * "Today" is London's (set window.GMT_TEST_DATE to preview another day).
+ */
+
+// js/safe-html.js is loaded as a classic script before this module
+const { html, render } = SafeHtml;
+
+/**
+ * Download the current London month's chosen jama'ats as an .ics file
+ */
+export function initCalendarExport(win = window, prayerTimes = PrayerTimes, icsCalendar = IcsCalendar, londonTime = LondonTime) {
+    const form = win.document.getElementById('calendar-export-form');
+    const status = win.document.getElementById('calendar-export-status');
+    if (!form) return;
+
+    form.addEventListener('submit', async e => {
+        e.preventDefault();
+        const prayers = Array.from(form.querySelectorAll('input[name="prayer"]:checked')).map(input => input.value);
+        if (!prayers.length) {
+            status.textContent = "Choose at least one jama'at to include.";
+            return;
+        }
+
+        const today = londonTime.today();
+        const year = today.getFullYear();
+        const month = today.getMonth() + 1;
+        const days = await prayerTimes.getMonthlyCalendar(year, month);
+        if (!days || !days.length) {
+            status.textContent = "This month's timetable isn't available yet.";
+            return;
+        }
+
+        const events = icsCalendar.buildPrayerEvents(year, month, days, { prayers });
+        const content = icsCalendar.createCalendar(events, { name: "Ghousia Masjid Jama'at Times" });
+        icsCalendar.downloadCalendar(`gmt-jamaat-times-${year}-${String(month).padStart(2, '0')}.ics`, content);
+        status.textContent = `Downloaded ${events.length} jama'at times.`;
+    });
+}
+
+/**
+ * Show the Ramadan timetable while the Hijri month is Ramadan
+ */
+export async function applyRamadanMode(win = window, prayerTimes = PrayerTimes) {
+    const document = win.document;
+    const section = document.getElementById('ramadan-timetable-section');
+    if (!section || !(await prayerTimes.renderRamadanTable('ramadan-timetable'))) return;
+
+    const ramadan = await prayerTimes.getRamadan();
+    document.getElementById('ramadan-timetable-title').textContent = `Ramadan ${ramadan.hijriYear} AH Timetable`;
+    const imageLink = document.getElementById('ramadan-timetable-image');
+    if (ramadan.settings.image) {
+        imageLink.href = ramadan.settings.image;
+        imageLink.hidden = false;
+    }
+    section.hidden = false;
+}
+
+/**
+ * Jumu'ah times from data/jumuah.json for the coming Friday
+ */
+export async function applyJumuahNote(win = window, prayerTimes = PrayerTimes) {
+    const note = win.document.getElementById('jumuah-note');
+    const jumuah = await prayerTimes.getNextJumuah();
+    if (!note || !jumuah) return;
+
+    const times = jumuah.sessions.map((session, index) => {
+        const [h, m] = session.jamaat.split(':').map(Number);
+        return html`${index > 0 && ' & '}<strong>${h % 12 || 12}:${String(m).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}</strong>`;
+    });
+    render(note, html`Jum'a: ${times} every Friday.${jumuah.note && ` ${jumuah.note}`}`);
+}
+
+/**
+ * A YYYY-MM-DD date from the URL, or null if it isn't a real date
+ */
+export function parseDateParam(value, londonTime = LondonTime) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+    const day = londonTime.parseIsoDate(value);
+    return londonTime.toIsoDate(day) === value ? day : null;
+}
+
+/**
+ * Every time for one day, chosen with previous/next, the date picker or
+ * ?date=YYYY-MM-DD. The address bar follows the chosen day so it can be
+ * shared; today's own address has no date.
+ */
+export function initDayView(win = window, prayerTimes = PrayerTimes, londonTime = LondonTime) {
+    const document = win.document;
+    const form = document.getElementById('day-times-form');
+    if (!form) return null;
+
+    const title = document.getElementById('day-times-title');
+    const hijriLine = document.getElementById('day-times-hijri');
+    const input = form.elements.date;
+    const todayButton = form.querySelector('[data-day-today]');
+    const params = new URLSearchParams(win.location.search);
+    let current = parseDateParam(params.get('date'), londonTime) || londonTime.today();
+
+    async function show(day) {
+        current = day;
+        const iso = londonTime.toIsoDate(day);
+        const isToday = iso === londonTime.todayIso();
+        const longDate = day.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+        input.value = iso;
+        todayButton.disabled = isToday;
+        title.textContent = isToday ? `Today, ${longDate}` : longDate;
+
+        const hijri = await prayerTimes.getHijriDateFor(day);
+        if (current !== day) return;
+        hijriLine.textContent = hijri && hijri.day !== '?'
+            ? `${hijri.day} ${hijri.month} ${hijri.year} AH${hijri.provisional ? ' (est.)' : ''}`
+            : '';
+        await prayerTimes.renderDayTimes('day-times', day);
+    }
+
+    function go(day) {
+        const iso = londonTime.toIsoDate(day);
+        const query = new URLSearchParams(win.location.search);
+        if (iso === londonTime.todayIso()) {
+            query.delete('date');
+        } else {
+            query.set('date', iso);
+        }
+        const search = query.toString();
+        win.history.replaceState(null, '', `${win.location.pathname}${search ? `?${search}` : ''}${win.location.hash}`);
+        return show(day);
+    }
+
+    form.addEventListener('click', e => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        if (button.hasAttribute('data-day-today')) {
+            go(londonTime.today());
+        } else if (button.dataset.dayStep) {
+            go(londonTime.addDays(current, Number(button.dataset.dayStep)));
+        }
+    });
+
+    input.addEventListener('change', () => {
+        const day = parseDateParam(input.value, londonTime);
+        if (day) go(day);
+    });
+
+    form.addEventListener('submit', e => e.preventDefault());
+
+    return show(current);
+}
+
+/**
+ * Earlier timetables, newest first, as links in #timetable-archive-list
+ */
+export function renderTimetableArchive(document, entries) {
+    const archive = document.getElementById('timetable-archive');
+    const list = document.getElementById('timetable-archive-list');
+    if (!archive || !list || !entries.length) return;
+
+    list.replaceChildren();
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = entry.pdf;
+        link.target = '_blank';
+        link.textContent = `${entry.label} Timetable`;
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+    archive.hidden = false;
+}
+
+/**
+ * Point the timetable card at the current month's PDF and image
+ */
+export async function applyCurrentTimetable(win = window, timetables = Timetables) {
+    const document = win.document;
+    const current = await timetables.getCurrentTimetable();
+    if (!current) return;
+
+    document.getElementById('current-timetable-title').textContent = `${current.label} Prayer Timetable`;
+    document.getElementById('current-timetable-download').href = current.pdf;
+    document.getElementById('current-timetable-download-text').textContent = `View/Download ${current.label} Timetable`;
+    const preview = document.getElementById('current-timetable-preview');
+    const image = document.getElementById('current-timetable-image');
+    const imageLink = document.getElementById('current-timetable-image-link');
+    const caption = document.getElementById('current-timetable-caption');
+    if (current.image) {
+        image.src = current.image;
+        image.alt = current.imageAlt || `${current.label} Greenwich Madina Trust prayer timetable`;
+        imageLink.href = current.image;
+        caption.textContent = `${current.label} timetable image`;
+        preview.hidden = false;
+    } else {
+        preview.hidden = true;
+        image.removeAttribute('src');
+    }
+
+    renderTimetableArchive(document, await timetables.getArchive());
+}
+
+if (typeof document !== 'undefined' && document.getElementById('current-timetable-title')) {
+    applyCurrentTimetable();
+    applyRamadanMode();
+    initDayView();
+    applyJumuahNote();
+    initCalendarExport();
+}
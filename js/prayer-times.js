@@ -1,35 +1,149 @@
 /**
  * Prayer Times Module
  * Uses official Greenwich Madina Trust prayer times from local JSON
- * Data from mosque's official 2026 timetable (updated monthly)
+ * Data from mosque's official yearly timetables, listed in
+ * data/prayer-times-manifest.json (updated monthly)
  */
 
 const PrayerTimes = (function() {
+    const { html, raw, render } = SafeHtml;
+
+    // Days and times are London's, whatever the device's time zone
+    const { addDays, at: timeOnDate, dayOf, parseIsoDate } = LondonTime;
+
     // Month names for JSON lookup
     const MONTHS = [
         'january', 'february', 'march', 'april', 'may', 'june',
         'july', 'august', 'september', 'october', 'november', 'december'
     ];
 
-    // Cache for loaded data
-    let prayerTimesData = null;
+    // Daily prayers shown in the banner, in order, with their JSON fields
+    const DAILY_PRAYERS = [
+        { key: 'fajr', name: 'Fajr', begins: getFajrBegins, jamaat: day => day.fajr_jamaat, ends: day => day.sunrise },
+        { key: 'dhuhr', name: 'Dhuhr', begins: day => day.dhuhr_begins, jamaat: getDhuhrJamaat },
+        { key: 'asr', name: 'Asr', begins: day => day.asr_begins, jamaat: day => day.asr_jamaat },
+        { key: 'maghrib', name: 'Maghrib', begins: day => day.maghrib, jamaat: day => day.maghrib },
+        { key: 'isha', name: 'Isha', begins: day => day.isha_begins, jamaat: day => day.isha_jamaat }
+    ];
+
+    // Every time in a day's timetable row, in order, for the day view.
+    // Rows without a jama'at are times to note rather than prayers.
+    const DAY_VIEW_TIMES = [
+        { name: 'Sehri ends', begins: day => day.sehri_end },
+        { key: 'fajr', name: 'Fajr', begins: getFajrBegins, jamaat: day => day.fajr_jamaat },
+        { key: 'sunrise', name: 'Sunrise', begins: day => day.sunrise },
+        { name: 'Ishraq', begins: day => day.ishraq },
+        { name: 'Dhahwa Kubra', begins: day => day.dhahwa_kubra },
+        { key: 'dhuhr', name: 'Dhuhr', begins: day => day.dhuhr_begins, jamaat: day => day.dhuhr_jamaat },
+        { key: 'asr', name: 'Asr', begins: day => day.asr_begins, jamaat: day => day.asr_jamaat },
+        { name: 'Asr ends', begins: day => day.asr_end },
+        { key: 'maghrib', name: 'Maghrib', begins: day => day.maghrib, jamaat: day => day.maghrib },
+        { key: 'isha', name: 'Isha', begins: day => day.isha_begins, jamaat: day => day.isha_jamaat }
+    ];
+
+    // Extended times: the Ishraq/Chasht window for nafl after sunrise, and
+    // the makruh periods when salah is avoided (Zawal, from dhahwa-e-kubra
+    // until Dhuhr, and the end of Asr until sunset)
+    const EXTENDED_TIMES = [
+        { key: 'ishraq', name: 'Ishraq / Chasht', starts: day => day.ishraq, ends: day => day.dhahwa_kubra },
+        { key: 'zawal', name: 'Zawal', makruh: true, starts: day => day.dhahwa_kubra, ends: day => day.dhuhr_begins },
+        { key: 'asr-end', name: 'End of Asr', makruh: true, starts: day => day.asr_end, ends: day => day.maghrib }
+    ];
+
+    // Remembers whether the visitor has turned extended times on
+    const EXTENDED_TIMES_KEY = 'gmt_extended_times';
+
+    // How often the live banner recalculates the countdown
+    const BANNER_TICK_MS = 30 * 1000;
+
+    // Lists the published yearly timetable files
+    const MANIFEST_URL = 'data/prayer-times-manifest.json';
+
+    // Khutbah and jama'at times for Fridays
+    const JUMUAH_URL = 'data/jumuah.json';
+
+    // Taraweeh, Eid salah and Laylat al-Qadr settings for Ramadan mode
+    const RAMADAN_URL = 'data/ramadan.json';
+
+    // Cache for loaded data (prayer times are keyed by year)
+    let manifestData = null;
+    const prayerTimesRequests = {};
     let hijriCalendarData = null;
+    let ramadanRequest = null;
+    let jumuahRequest = null;
+
+    // Live banner state
+    let bannerTimer = null;
+    let displayedDateKey = null;
+
+    // Extended times choice, kept here too in case storage is blocked, and
+    // the monthly table to redraw when it changes
+    let extendedTimesOn = false;
+    let extendedMonthlyTable = null;
 
     /**
-     * Load prayer times JSON data
+     * Load the manifest of published yearly timetables
      */
-    async function loadPrayerTimesData() {
-        if (prayerTimesData) {
-            return prayerTimesData;
+    async function loadManifest() {
+        if (manifestData) {
+            return manifestData;
         }
 
         try {
-            const response = await fetch('data/prayer-times-2026.json?v=20260703');
+            const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
             if (!response.ok) {
-                throw new Error('Failed to load prayer times data');
+                throw new Error('Failed to load prayer times manifest');
             }
-            prayerTimesData = await response.json();
-            return prayerTimesData;
+            manifestData = await response.json();
+            return manifestData;
+        } catch (error) {
+            console.error('Error loading prayer times manifest:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a year's timetable has been published in the manifest.
+     * Without a manifest we assume it has, and let the data request decide.
+     */
+    async function isYearPublished(year) {
+        const manifest = await loadManifest();
+        if (!manifest || !manifest.years) return true;
+        return Boolean(manifest.years[String(year)]);
+    }
+
+    /**
+     * Load prayer times JSON data for a year (data/prayer-times-{year}.json)
+     */
+    function loadPrayerTimesData(year) {
+        if (!prayerTimesRequests[year]) {
+            prayerTimesRequests[year] = fetchPrayerTimesYear(year).then(data => {
+                // Don't cache failures, so the next lookup can retry
+                if (!data) delete prayerTimesRequests[year];
+                return data;
+            });
+        }
+        return prayerTimesRequests[year];
+    }
+
+    async function fetchPrayerTimesYear(year) {
+        const manifest = await loadManifest();
+        const entry = manifest && manifest.years ? manifest.years[String(year)] : null;
+
+        // Year not listed yet: not an error, the timetable just isn't published
+        if (manifest && manifest.years && !entry) {
+            return null;
+        }
+
+        const file = entry && entry.file ? entry.file : `data/prayer-times-${year}.json`;
+        const url = entry && entry.version ? `${file}?v=${entry.version}` : file;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${year} prayer times data`);
+            }
+            return await response.json();
         } catch (error) {
             console.error('Error loading prayer times:', error);
             return null;
@@ -61,7 +175,7 @@ const PrayerTimes = (function() {
      * Get prayer times for a specific date
      */
     async function getTimesForDate(date) {
-        const data = await loadPrayerTimesData();
+        const data = await loadPrayerTimesData(date.getFullYear());
         if (!data) return null;
 
         const month = MONTHS[date.getMonth()];
@@ -72,92 +186,534 @@ const PrayerTimes = (function() {
 
         // Find the day's data
         const dayData = monthData.find(d => d.date === day);
-        return dayData || null;
+        if (!dayData) return null;
+
+        // Fridays carry their Jumu'ah sessions alongside the timetable row
+        const jumuah = await getJumuahTimes(date);
+        return jumuah ? Object.assign({}, dayData, { jumuah }) : dayData;
+    }
+
+    /**
+     * Load Jumu'ah settings (data/jumuah.json)
+     */
+    function loadJumuahData() {
+        if (!jumuahRequest) {
+            jumuahRequest = fetch(JUMUAH_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error("Failed to load Jumu'ah times");
+                    return response.json();
+                })
+                .catch(error => {
+                    console.error("Error loading Jumu'ah times:", error);
+                    jumuahRequest = null;
+                    return null;
+                });
+        }
+        return jumuahRequest;
+    }
+
+    /**
+     * Jumu'ah sessions for a Friday (js/jumuah.js picks them). Null on
+     * other days.
+     */
+    async function getJumuahTimes(date) {
+        if (date.getDay() !== 5) return null;
+
+        const data = await loadJumuahData();
+        return Jumuah.forDate(data, LondonTime.toIsoDate(date));
+    }
+
+    /**
+     * Jumu'ah for the coming Friday (today if it is Friday)
+     */
+    async function getNextJumuah(from = LondonTime.today()) {
+        const date = addDays(from, (5 - from.getDay() + 7) % 7);
+        const jumuah = await getJumuahTimes(date);
+        return jumuah ? Object.assign({ date }, jumuah) : null;
+    }
+
+    /**
+     * "1:30 & 2:15" style list of Jumu'ah jama'at times
+     */
+    function formatJumuahTimes(jumuah) {
+        return jumuah.sessions.map(session => {
+            const [h, m] = session.jamaat.split(':').map(Number);
+            return `${h % 12 || 12}:${String(m).padStart(2, '0')}`;
+        }).join(' & ');
+    }
+
+    /**
+     * Dhuhr jama'at, or the first Jumu'ah jama'at on Fridays
+     */
+    function getDhuhrJamaat(dayData) {
+        return dayData.jumuah ? dayData.jumuah.sessions[0].jamaat : dayData.dhuhr_jamaat;
     }
 
     /**
      * Get today's prayer times
      */
     async function getTodaysTimes() {
-        const today = new Date();
-        return await getTimesForDate(today);
+        return await getTimesForDate(LondonTime.today());
     }
 
     /**
-     * Get monthly calendar data
+     * Fajr begins is 1 minute after sehri_end (JSON stores adjusted sehri cutoff)
      */
-    async function getMonthlyCalendar(year, month) {
-        // Currently only have 2026 data
-        if (year !== 2026) {
-            console.warn('Prayer times only available for 2026');
-            return null;
+    function getFajrBegins(dayData) {
+        const [h, m] = dayData.sehri_end.split(':').map(Number);
+        const mins = m + 1;
+        return `${String(h + Math.floor(mins / 60)).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
+    }
+
+    function getDateKey(date) {
+        return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    }
+
+    /**
+     * Build the day's prayers with begins/jama'at as Date objects.
+     * On Fridays Dhuhr is shown as Jumu'ah, with a `sessions` entry for each
+     * of the day's Jumu'ah jama'ats (the first is also its jama'at).
+     */
+    function buildPrayerSchedule(dayData, date) {
+        const isFriday = date.getDay() === 5;
+
+        return DAILY_PRAYERS.map((prayer, index) => {
+            const begins = prayer.begins(dayData);
+            const jamaat = prayer.jamaat(dayData);
+            const next = DAILY_PRAYERS[index + 1];
+            const ends = prayer.ends ? prayer.ends(dayData) : next ? next.begins(dayData) : null;
+            const isJumuah = isFriday && prayer.key === 'dhuhr';
+            const name = isJumuah ? "Jumu'ah" : prayer.name;
+            const sessions = isJumuah && dayData.jumuah ? dayData.jumuah.sessions : null;
+
+            return {
+                key: prayer.key,
+                name,
+                isJumuah,
+                begins,
+                jamaat,
+                beginsAt: timeOnDate(date, begins),
+                jamaatAt: timeOnDate(date, jamaat),
+                // Isha runs on past midnight until the next day's Fajr
+                endsAt: ends ? timeOnDate(date, ends) : null,
+                sessions: sessions && sessions.map(session => ({
+                    // Session labels only matter when there's more than one
+                    name: sessions.length > 1 && session.label ? session.label : name,
+                    jamaat: session.jamaat,
+                    jamaatAt: timeOnDate(date, session.jamaat)
+                }))
+            };
+        });
+    }
+
+    /**
+     * The day's prayers for any date, or null if its timetable isn't loaded
+     */
+    async function getPrayerSchedule(date) {
+        const dayData = await getTimesForDate(date);
+        return dayData ? buildPrayerSchedule(dayData, date) : null;
+    }
+
+    /**
+     * The day's Ishraq/Chasht window and makruh periods with their start
+     * and end as Date objects, or null if its timetable isn't loaded
+     */
+    async function getExtendedTimes(date) {
+        const dayData = await getTimesForDate(date);
+        if (!dayData) return null;
+
+        return EXTENDED_TIMES
+            .filter(period => period.starts(dayData) && period.ends(dayData))
+            .map(period => ({
+                key: period.key,
+                name: period.name,
+                makruh: !!period.makruh,
+                starts: period.starts(dayData),
+                ends: period.ends(dayData),
+                startsAt: timeOnDate(date, period.starts(dayData)),
+                endsAt: timeOnDate(date, period.ends(dayData))
+            }));
+    }
+
+    /**
+     * Whether the visitor has turned extended times on (off by default)
+     */
+    function isExtendedTimesOn() {
+        try {
+            return localStorage.getItem(EXTENDED_TIMES_KEY) === 'on';
+        } catch (e) {
+            return extendedTimesOn;
+        }
+    }
+
+    /**
+     * Remember the extended times choice and update the banner and table
+     */
+    async function setExtendedTimes(on) {
+        extendedTimesOn = on;
+        try {
+            if (on) {
+                localStorage.setItem(EXTENDED_TIMES_KEY, 'on');
+            } else {
+                localStorage.removeItem(EXTENDED_TIMES_KEY);
+            }
+        } catch (e) {
+            console.warn('Could not save extended times setting:', e);
         }
 
-        const data = await loadPrayerTimesData();
+        await refreshExtendedTimes(LondonTime.now());
+        if (extendedMonthlyTable) {
+            const { containerId, year, month } = extendedMonthlyTable;
+            await renderMonthlyTable(containerId, year, month);
+        }
+    }
+
+    /**
+     * Work out the current and next prayer for a moment in time.
+     *
+     * "current" is the prayer whose time has begun and not yet ended (null
+     * between sunrise and Dhuhr). "next" is the next jama'at still to come,
+     * rolling over to tomorrow's Fajr after Isha jama'at.
+     */
+    async function getNextPrayer(now = LondonTime.now()) {
+        const today = dayOf(now);
+        const dayData = await getTimesForDate(today);
+        if (!dayData) return null;
+
+        const schedule = buildPrayerSchedule(dayData, today);
+
+        let current = schedule.find(prayer =>
+            prayer.beginsAt <= now && (!prayer.endsAt || now < prayer.endsAt)
+        ) || null;
+
+        // Before Fajr begins we are still in the previous night's Isha
+        if (!current && now < schedule[0].beginsAt) {
+            const yesterday = addDays(today, -1);
+            const yesterdayData = await getTimesForDate(yesterday);
+            if (yesterdayData) {
+                current = buildPrayerSchedule(yesterdayData, yesterday).pop();
+            }
+        }
+
+        // Each Jumu'ah session counts as a jama'at of its own
+        const jamaats = schedule.flatMap(prayer => prayer.sessions
+            ? prayer.sessions.map(session => Object.assign({}, prayer, session))
+            : [prayer]);
+        let next = jamaats.find(prayer => prayer.jamaatAt > now) || null;
+
+        if (!next) {
+            const tomorrow = addDays(today, 1);
+            const tomorrowData = await getTimesForDate(tomorrow);
+            if (tomorrowData) {
+                next = buildPrayerSchedule(tomorrowData, tomorrow)[0];
+            }
+        }
+
+        return {
+            current,
+            next,
+            minutesUntilNext: next ? Math.ceil((next.jamaatAt - now) / (60 * 1000)) : null
+        };
+    }
+
+    /**
+     * Format a number of minutes as h:mm for the countdown
+     */
+    function formatCountdown(totalMinutes) {
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return `${hours}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    /**
+     * Get monthly calendar data
+     */
+    async function getMonthlyCalendar(year, month) {
+        const data = await loadPrayerTimesData(year);
         if (!data) return null;
 
         const monthName = MONTHS[month - 1]; // month is 1-indexed
-        return data[monthName] || null;
+        const days = data[monthName];
+        if (!days) return null;
+
+        return Promise.all(days.map(async day => {
+            const jumuah = await getJumuahTimes(new Date(year, month - 1, day.date));
+            return jumuah ? Object.assign({}, day, { jumuah }) : day;
+        }));
+    }
+
+    /**
+     * Hijri month names, in order, as used in data/hijri-calendar.json
+     */
+    const HIJRI_MONTHS = [
+        'Muharram', 'Safar', "Rabi' al-Awwal", "Rabi' al-Thani", 'Jumada al-Ula', 'Jumada al-Thani',
+        'Rajab', "Sha'ban", 'Ramadan', 'Shawwal', "Dhul Qa'dah", 'Dhul Hijjah'
+    ];
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Whole calendar days between two local dates (DST-safe)
+    function daysBetween(from, to) {
+        return Math.round((Date.UTC(to.getFullYear(), to.getMonth(), to.getDate())
+            - Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / DAY_MS);
+    }
+
+    /**
+     * Announced month starts from the calendar file, oldest first.
+     * Accepts the older currentMonth/nextMonth layout as well as `months`.
+     * Months whose start hasn't been announced yet (null date) are skipped.
+     */
+    function getAnnouncedMonths(calendar) {
+        const months = Array.isArray(calendar.months)
+            ? calendar.months
+            : [calendar.currentMonth, calendar.nextMonth];
+
+        return months
+            .filter(month => month && month.gregorianStartDate)
+            .map(month => ({
+                month: month.hijriMonth,
+                year: month.hijriYear,
+                start: parseIsoDate(month.gregorianStartDate)
+            }))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Tabular (arithmetical) Islamic calendar for a local date
+     */
+    function tabularHijri(date) {
+        // Julian Day Number at midday
+        const jd = Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS) + 2440588;
+        const l0 = jd - 1948440 + 10632;
+        const n = Math.floor((l0 - 1) / 10631);
+        let l = l0 - 10631 * n + 354;
+        const j = Math.floor((10985 - l) / 5316) * Math.floor((50 * l) / 17719)
+            + Math.floor(l / 5670) * Math.floor((43 * l) / 15238);
+        l = l - Math.floor((30 - j) / 15) * Math.floor((17719 * j) / 50)
+            - Math.floor(j / 16) * Math.floor((15238 * j) / 43) + 29;
+        const month = Math.floor((24 * l) / 709);
+        const day = l - Math.floor((709 * month) / 24);
+        const year = 30 * n + j - 30;
+
+        return { day, monthIndex: month - 1, year };
     }
 
     /**
-     * Calculate Hijri date based on mosque's official calendar
-     * Uses data/hijri-calendar.json which is updated when new month is announced
+     * Month length in the tabular calendar: odd months 30 days, even 29,
+     * and Dhul Hijjah 30 in the 11 leap years of each 30-year cycle
+     */
+    function tabularMonthLength(monthIndex, year) {
+        if (monthIndex === 11) {
+            return (14 + 11 * year) % 30 < 11 ? 30 : 29;
+        }
+        return monthIndex % 2 === 0 ? 30 : 29;
+    }
+
+    /**
+     * Hijri date for a day from already-loaded calendar data.
      *
-     * DEFENSIVE: Handles null nextMonth.gregorianStartDate gracefully.
-     * Before moon sighting is announced, nextMonth date will be null.
-     * In this case, we safely use currentMonth until the date is updated.
+     * Uses the latest announced month start on or before the date. Where no
+     * announcement covers the date, months are counted on from (or back
+     * from) the nearest announcement using tabular month lengths, and the
+     * result is marked provisional. An announced month with no successor is
+     * assumed to complete 30 days.
      */
-    async function getHijriDate() {
+    function computeHijriDate(calendar, date) {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const announced = getAnnouncedMonths(calendar);
+
+        if (!announced.length) {
+            const estimate = tabularHijri(day);
+            return { day: estimate.day, month: HIJRI_MONTHS[estimate.monthIndex], year: estimate.year, provisional: true };
+        }
+
+        let match = null;
+        announced.forEach(month => {
+            if (month.start <= day) match = month;
+        });
+
+        if (match) {
+            const hijriDay = daysBetween(match.start, day) + 1;
+            if (hijriDay <= 30) {
+                return { day: hijriDay, month: match.month, year: match.year, provisional: false };
+            }
+        }
+
+        const anchor = match || announced[0];
+        let monthIndex = HIJRI_MONTHS.indexOf(anchor.month);
+        let year = anchor.year;
+        let monthStart = anchor.start;
+
+        if (monthIndex === -1) {
+            return { day: '?', month: '?', year: '?', provisional: true };
+        }
+
+        if (match) {
+            // Count forward: the announced month runs its full 30 days
+            let length = 30;
+            while (daysBetween(monthStart, day) >= length) {
+                monthStart = addDays(monthStart, length);
+                monthIndex = (monthIndex + 1) % 12;
+                if (monthIndex === 0) year++;
+                length = tabularMonthLength(monthIndex, year);
+            }
+        } else {
+            // Count back from the earliest announcement
+            while (day < monthStart) {
+                monthIndex = (monthIndex + 11) % 12;
+                if (monthIndex === 11) year--;
+                monthStart = addDays(monthStart, -tabularMonthLength(monthIndex, year));
+            }
+        }
+
+        return {
+            day: daysBetween(monthStart, day) + 1,
+            month: HIJRI_MONTHS[monthIndex],
+            year,
+            provisional: true
+        };
+    }
+
+    /**
+     * Hijri date for any day, based on the mosque's announced month starts
+     * (data/hijri-calendar.json), with a provisional estimate where no
+     * announcement exists yet.
+     */
+    async function getHijriDateFor(date) {
         const calendar = await loadHijriCalendarData();
         if (!calendar) {
-            return { day: '?', month: '?', year: '?' };
+            return { day: '?', month: '?', year: '?', provisional: true };
         }
+        return computeHijriDate(calendar, date);
+    }
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        // Parse the current month start date (required)
-        const currentMonthStart = new Date(calendar.currentMonth.gregorianStartDate);
-        currentMonthStart.setHours(0, 0, 0, 0);
+    /**
+     * Today's Hijri date
+     */
+    async function getHijriDate() {
+        return getHijriDateFor(LondonTime.today());
+    }
 
-        // Parse the next month start date (may be null if moon not yet sighted)
-        // DEFENSIVE: Only create Date if value exists, otherwise null
-        const nextMonthStart = calendar.nextMonth.gregorianStartDate
-            ? new Date(calendar.nextMonth.gregorianStartDate)
-            : null;
-        if (nextMonthStart) {
-            nextMonthStart.setHours(0, 0, 0, 0);
+    /**
+     * Load Ramadan settings (data/ramadan.json)
+     */
+    function loadRamadanConfig() {
+        if (!ramadanRequest) {
+            ramadanRequest = fetch(RAMADAN_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error('Failed to load Ramadan settings');
+                    return response.json();
+                })
+                .catch(error => {
+                    console.warn('Ramadan settings not found, using defaults:', error);
+                    return {};
+                });
         }
+        return ramadanRequest;
+    }
 
-        let hijriMonth, hijriYear, hijriDay;
+    /**
+     * Settings for one Ramadan: the defaults overlaid with that Hijri
+     * year's entry under `years`
+     */
+    async function getRamadanSettings(hijriYear) {
+        const config = await loadRamadanConfig();
+        const yearSettings = (config.years && config.years[hijriYear]) || {};
 
-        // DEFENSIVE: Only use nextMonth if date exists AND we've reached it
-        if (nextMonthStart && today >= nextMonthStart) {
-            // We're in the next month
-            hijriMonth = calendar.nextMonth.hijriMonth;
-            hijriYear = calendar.nextMonth.hijriYear;
-            // Calculate day of month (1-indexed)
-            const diffTime = today - nextMonthStart;
-            const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-            hijriDay = diffDays + 1;
-        } else {
-            // We're in the current month (or nextMonth date not yet announced)
-            hijriMonth = calendar.currentMonth.hijriMonth;
-            hijriYear = calendar.currentMonth.hijriYear;
-            // Calculate day of month (1-indexed)
-            const diffTime = today - currentMonthStart;
-            const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-            hijriDay = diffDays + 1;
+        return {
+            taraweeh: Object.assign({}, config.taraweeh, yearSettings.taraweeh),
+            eidSalah: yearSettings.eidSalah || config.eidSalah || [],
+            laylatAlQadrNights: yearSettings.laylatAlQadrNights || config.laylatAlQadrNights || [],
+            image: yearSettings.image || ''
+        };
+    }
+
+    /**
+     * Add minutes to an "HH:MM" time
+     */
+    function addMinutesToTime(time, minutes) {
+        const [h, m] = time.split(':').map(Number);
+        const total = h * 60 + m + minutes;
+        return `${String(Math.floor(total / 60) % 24).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Taraweeh start for an evening: a fixed `time`, or a number of
+     * minutes after that day's Isha jama'at
+     */
+    function getTaraweehTime(dayData, taraweeh) {
+        if (taraweeh.time) return taraweeh.time;
+        if (!dayData || !dayData.isha_jamaat) return '';
+        return addMinutesToTime(dayData.isha_jamaat, taraweeh.minutesAfterIshaJamaat || 0);
+    }
+
+    async function isRamadanDay(date) {
+        const hijri = await getHijriDateFor(date);
+        return hijri.month === 'Ramadan';
+    }
+
+    /**
+     * The Ramadan that contains `date`, or null outside Ramadan.
+     * Each day carries its roza number, timetable row and whether the
+     * Hijri date is still an estimate.
+     */
+    async function getRamadan(date = LondonTime.today()) {
+        const hijri = await getHijriDateFor(date);
+        if (hijri.month !== 'Ramadan') return null;
+
+        const start = addDays(date, 1 - hijri.day);
+        const days = [];
+
+        for (let roza = 1; roza <= 30; roza++) {
+            const day = addDays(start, roza - 1);
+            const dayHijri = await getHijriDateFor(day);
+            if (dayHijri.month !== 'Ramadan') break;
+
+            days.push({
+                date: day,
+                roza,
+                provisional: dayHijri.provisional,
+                times: await getTimesForDate(day)
+            });
         }
 
         return {
-            day: hijriDay,
-            month: hijriMonth,
-            year: hijriYear
+            hijriYear: hijri.year,
+            days,
+            eidDate: addDays(start, days.length),
+            provisional: days.some(day => day.provisional),
+            settings: await getRamadanSettings(hijri.year)
         };
     }
 
+    /**
+     * Sehri/iftar countdown during Ramadan, including the night before
+     * the first fast. Null outside Ramadan.
+     */
+    async function getRamadanCountdown(now = LondonTime.now()) {
+        const today = dayOf(now);
+        const tomorrow = addDays(today, 1);
+
+        if (await isRamadanDay(today)) {
+            const dayData = await getTimesForDate(today);
+            if (dayData) {
+                const sehriEnds = timeOnDate(today, dayData.sehri_end);
+                const iftar = timeOnDate(today, dayData.maghrib);
+                if (now < sehriEnds) return { label: 'Sehri ends', at: sehriEnds };
+                if (now < iftar) return { label: 'Iftar', at: iftar };
+            }
+        }
+
+        if (await isRamadanDay(tomorrow)) {
+            const tomorrowData = await getTimesForDate(tomorrow);
+            if (tomorrowData) {
+                return { label: 'Sehri ends', at: timeOnDate(tomorrow, tomorrowData.sehri_end) };
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Format Gregorian date
      */
@@ -172,24 +728,25 @@ const PrayerTimes = (function() {
      * Update DOM elements with prayer times
      */
     async function updateDisplay() {
-        const dayData = await getTodaysTimes();
+        const today = LondonTime.today();
+        const dayData = await getTimesForDate(today);
 
         if (!dayData) {
-            console.error('Could not load prayer times for today');
+            if (await isYearPublished(today.getFullYear())) {
+                console.error('Could not load prayer times for today');
+            } else {
+                showTimetableNotPublished(today.getFullYear());
+            }
+            await updateDates(today);
             return;
         }
 
-        const today = new Date();
+        displayedDateKey = getDateKey(today);
+        document.getElementById('prayer-times-quick')?.classList.remove('is-unpublished');
 
         // Update Begins times (when prayer time starts)
-        // Fajr begins is 1 minute after sehri_end (JSON stores adjusted sehri cutoff)
-        const fajrBegins = (() => {
-            const [h, m] = dayData.sehri_end.split(':').map(Number);
-            const mins = m + 1;
-            return `${String(h + Math.floor(mins / 60)).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
-        })();
         const beginsElements = {
-            'fajr-time': fajrBegins,
+            'fajr-time': getFajrBegins(dayData),
             'sunrise-time': dayData.sunrise,
             'dhuhr-time': dayData.dhuhr_begins,
             'asr-time': dayData.asr_begins,
@@ -207,7 +764,7 @@ const PrayerTimes = (function() {
         // Update Jama'at times (congregation times set by mosque)
         const jamaatElements = {
             'fajr-jamaat': dayData.fajr_jamaat,
-            'dhuhr-jamaat': dayData.dhuhr_jamaat,
+            'dhuhr-jamaat': getDhuhrJamaat(dayData),
             'asr-jamaat': dayData.asr_jamaat,
             'maghrib-jamaat': dayData.maghrib, // Maghrib jamaat is same as begins
             'isha-jamaat': dayData.isha_jamaat
@@ -220,11 +777,46 @@ const PrayerTimes = (function() {
             }
         }
 
+        // Show Jumu'ah in place of Dhuhr on Fridays
+        const dhuhrName = document.getElementById('dhuhr-jamaat')?.closest('.prayer-time-item')?.querySelector('.prayer-name');
+        if (dhuhrName) {
+            dhuhrName.textContent = dayData.jumuah ? "Jumu'ah" : 'Dhuhr';
+        }
+
+        await updateJumuahTimes(today);
+        await updateDates(today);
+    }
+
+    /**
+     * Fill the banner's Jum'a times from the coming Friday
+     */
+    async function updateJumuahTimes(today) {
+        const elements = document.querySelectorAll('.juma-time');
+        if (!elements.length) return;
+
+        const jumuah = await getNextJumuah(today);
+        if (!jumuah) return;
+
+        elements.forEach(element => {
+            element.textContent = formatJumuahTimes(jumuah);
+        });
+    }
+
+    /**
+     * Update the Hijri and Gregorian dates in the banner
+     */
+    async function updateDates(today) {
         // Update Hijri date from mosque's official calendar
         const hijriElement = document.getElementById('hijri-date');
         if (hijriElement) {
             const hijri = await getHijriDate();
-            hijriElement.textContent = `${hijri.day} ${hijri.month} ${hijri.year} AH`;
+            hijriElement.textContent = `${hijri.day} ${hijri.month} ${hijri.year} AH${hijri.provisional ? ' (est.)' : ''}`;
+            hijriElement.classList.toggle('is-provisional', hijri.provisional);
+            if (hijri.provisional) {
+                hijriElement.title = 'Provisional estimate until the new month is announced';
+            } else {
+                hijriElement.removeAttribute('title');
+            }
         }
 
         // Update Gregorian date
@@ -234,41 +826,284 @@ const PrayerTimes = (function() {
         }
     }
 
+    /**
+     * Banner state for a year whose timetable the mosque hasn't released yet
+     */
+    function showTimetableNotPublished(year) {
+        const quick = document.getElementById('prayer-times-quick');
+        if (!quick) return;
+
+        quick.classList.add('is-unpublished');
+        quick.querySelectorAll('.jamaat-time, .begins-time').forEach(element => {
+            element.textContent = '--:--';
+        });
+
+        const countdownEl = getCountdownElement();
+        if (countdownEl) {
+            countdownEl.textContent = `${year} timetable not yet published`;
+        }
+    }
+
+    /**
+     * Find or create the countdown line in the prayer banner
+     */
+    function getCountdownElement() {
+        let element = document.getElementById('next-prayer-countdown');
+        if (element) return element;
+
+        const bannerLeft = document.querySelector('.prayer-banner-left');
+        if (!bannerLeft) return null;
+
+        element = document.createElement('div');
+        element.className = 'next-prayer-countdown';
+        element.id = 'next-prayer-countdown';
+        element.setAttribute('role', 'timer');
+        bannerLeft.appendChild(element);
+        return element;
+    }
+
+    /**
+     * Find or create the extended times row under the prayer banner
+     */
+    function getExtendedTimesElement() {
+        let element = document.getElementById('extended-times');
+        if (element) return element;
+
+        const content = document.querySelector('.prayer-banner-content');
+        if (!content) return null;
+
+        element = document.createElement('div');
+        element.className = 'extended-times';
+        element.id = 'extended-times';
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'extended-times-toggle';
+        toggle.setAttribute('aria-controls', 'extended-times-list');
+        toggle.addEventListener('click', () => setExtendedTimes(!isExtendedTimesOn()));
+
+        const list = document.createElement('ul');
+        list.className = 'extended-times-list';
+        list.id = 'extended-times-list';
+
+        element.append(toggle, list);
+        content.after(element);
+        return element;
+    }
+
+    /**
+     * Extended times in the banner while they're switched on, with the
+     * window `now` falls in highlighted
+     */
+    async function refreshExtendedTimes(now) {
+        const element = getExtendedTimesElement();
+        if (!element) return;
+
+        const on = isExtendedTimesOn();
+        const toggle = element.querySelector('.extended-times-toggle');
+        const list = element.querySelector('.extended-times-list');
+        toggle.textContent = on ? 'Hide extended times' : 'Show extended times';
+        toggle.setAttribute('aria-expanded', String(on));
+        list.hidden = !on;
+        if (!on) return;
+
+        const periods = await getExtendedTimes(dayOf(now)) || [];
+        render(list, html`${periods.map(period => {
+            const isCurrent = now >= period.startsAt && now < period.endsAt;
+            const className = ['extended-time', period.makruh ? 'is-makruh' : '', isCurrent ? 'is-current' : ''].filter(Boolean).join(' ');
+            return html`
+                <li class="${className}" aria-current="${isCurrent ? 'time' : 'false'}">
+                    <span class="extended-time-name">${period.name}</span>
+                    <span class="extended-time-range">${period.starts}–${period.ends}</span>
+                    ${period.makruh && html`<span class="extended-time-label">Makruh</span>`}
+                </li>
+            `;
+        })}`);
+    }
+
+    /**
+     * Highlight the active prayer and refresh the countdown.
+     * Reloads the whole banner once the day rolls over at midnight.
+     */
+    async function refreshLiveBanner() {
+        const now = LondonTime.now();
+
+        if (displayedDateKey && displayedDateKey !== getDateKey(dayOf(now))) {
+            await updateDisplay();
+        }
+
+        await refreshExtendedTimes(now);
+
+        const status = await getNextPrayer(now);
+        if (!status) return;
+
+        DAILY_PRAYERS.forEach(prayer => {
+            const item = document.getElementById(`${prayer.key}-jamaat`)?.closest('.prayer-time-item');
+            if (!item) return;
+
+            const isCurrent = !!status.current && status.current.key === prayer.key;
+            item.classList.toggle('is-current', isCurrent);
+        });
+
+        const countdownEl = getCountdownElement();
+        if (countdownEl) {
+            countdownEl.textContent = status.next
+                ? `${status.next.name} Jama'at in ${formatCountdown(status.minutesUntilNext)}`
+                : '';
+        }
+
+        await refreshRamadanCountdown(now);
+    }
+
+    /**
+     * Ramadan mode: sehri/iftar countdown under the jama'at countdown
+     */
+    async function refreshRamadanCountdown(now) {
+        const ramadan = await getRamadanCountdown(now);
+        const banner = document.querySelector('.prayer-banner');
+        banner?.classList.toggle('is-ramadan', !!ramadan);
+
+        let element = document.getElementById('ramadan-countdown');
+        if (!ramadan) {
+            element?.remove();
+            return;
+        }
+
+        if (!element) {
+            const countdownEl = getCountdownElement();
+            if (!countdownEl) return;
+
+            element = document.createElement('div');
+            element.className = 'next-prayer-countdown ramadan-countdown';
+            element.id = 'ramadan-countdown';
+            element.setAttribute('role', 'timer');
+            countdownEl.after(element);
+        }
+
+        const minutes = Math.ceil((ramadan.at - now) / (60 * 1000));
+        element.textContent = `${ramadan.label} in ${formatCountdown(minutes)}`;
+    }
+
+    /**
+     * Keep the banner live for visitors who leave the page open
+     */
+    function startLiveBanner() {
+        if (!document.getElementById('prayer-times-quick')) return;
+
+        stopLiveBanner();
+        refreshLiveBanner();
+        bannerTimer = setInterval(refreshLiveBanner, BANNER_TICK_MS);
+
+        // Phones suspend timers in background tabs, so catch up on return
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+    }
+
+    function handleVisibilityChange() {
+        if (document.visibilityState === 'visible' && bannerTimer) {
+            refreshLiveBanner();
+        }
+    }
+
+    function stopLiveBanner() {
+        if (bannerTimer) {
+            clearInterval(bannerTimer);
+            bannerTimer = null;
+        }
+    }
+
     /**
      * SVG icons for prayer times table headers
      */
     const PRAYER_ICONS = {
-        fajr: `<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M24 16c0-4.4-3.6-8-8-8-.8 0-1.6.1-2.3.3C15.2 5.5 18.1 4 21.3 4 27.2 4 32 8.8 32 14.7s-4.8 10.7-10.7 10.7c-3.2 0-6.1-1.4-8.1-3.7"/><circle cx="13" cy="19" r="2.5" fill="currentColor" opacity="0.3"/></svg>`,
-        sunrise: `<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M16 25v4M7 25h18"/><circle cx="16" cy="16" r="6"/><path d="M16 6v2M24 8l-2 2M26 16h-2M8 8l2 2M6 16h2"/></svg>`,
-        dhuhr: `<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><circle cx="16" cy="16" r="5"/><path d="M16 3v4M16 25v4M3 16h4M25 16h4M7 7l3 3M22 22l3 3M7 25l3-3M22 10l3-3"/></svg>`,
-        asr: `<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><circle cx="16" cy="16" r="5"/><path d="M16 7v3M16 22v3M7 16h3M22 16h3"/><path d="M10 10l2 2M20 20l2 2M10 22l2-2M20 12l2-2"/></svg>`,
-        maghrib: `<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M3 24h26"/><path d="M16 24V18"/><circle cx="16" cy="12" r="5"/><path d="M16 3v4M9 12H6M26 12h-3"/></svg>`,
-        isha: `<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M25 16c0-5-4-9-9-9-.9 0-1.8.1-2.6.4C15 4.3 19 2 23.5 2 29.3 2 34 6.7 34 12.5S29.3 23 23.5 23c-4 0-7.5-2-9.5-5.1"/><circle cx="9" cy="23" r="1.3" fill="currentColor"/><circle cx="15" cy="27" r="1" fill="currentColor"/><circle cx="5" cy="19" r="1" fill="currentColor"/></svg>`
+        fajr: raw(`<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M24 16c0-4.4-3.6-8-8-8-.8 0-1.6.1-2.3.3C15.2 5.5 18.1 4 21.3 4 27.2 4 32 8.8 32 14.7s-4.8 10.7-10.7 10.7c-3.2 0-6.1-1.4-8.1-3.7"/><circle cx="13" cy="19" r="2.5" fill="currentColor" opacity="0.3"/></svg>`),
+        sunrise: raw(`<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M16 25v4M7 25h18"/><circle cx="16" cy="16" r="6"/><path d="M16 6v2M24 8l-2 2M26 16h-2M8 8l2 2M6 16h2"/></svg>`),
+        dhuhr: raw(`<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><circle cx="16" cy="16" r="5"/><path d="M16 3v4M16 25v4M3 16h4M25 16h4M7 7l3 3M22 22l3 3M7 25l3-3M22 10l3-3"/></svg>`),
+        asr: raw(`<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><circle cx="16" cy="16" r="5"/><path d="M16 7v3M16 22v3M7 16h3M22 16h3"/><path d="M10 10l2 2M20 20l2 2M10 22l2-2M20 12l2-2"/></svg>`),
+        maghrib: raw(`<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M3 24h26"/><path d="M16 24V18"/><circle cx="16" cy="12" r="5"/><path d="M16 3v4M9 12H6M26 12h-3"/></svg>`),
+        isha: raw(`<svg viewBox="0 0 32 32" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M25 16c0-5-4-9-9-9-.9 0-1.8.1-2.6.4C15 4.3 19 2 23.5 2 29.3 2 34 6.7 34 12.5S29.3 23 23.5 23c-4 0-7.5-2-9.5-5.1"/><circle cx="9" cy="23" r="1.3" fill="currentColor"/><circle cx="15" cy="27" r="1" fill="currentColor"/><circle cx="5" cy="19" r="1" fill="currentColor"/></svg>`)
     };
 
     /**
-     * Render monthly timetable with separate Begins/Jama'at columns
+     * Small Hijri day label for timetable rows; names the month on the 1st
+     */
+    function formatHijriDayLabel(hijri) {
+        const text = hijri.day === 1 ? `1 ${hijri.month}` : String(hijri.day);
+        return html`<span class="hijri-day${hijri.provisional ? ' is-provisional' : ''}">${text}</span>`;
+    }
+
+    /**
+     * Jumu'ah jama'at times for a Friday's Dhuhr jama'at cell
      */
-    async function renderMonthlyTable(containerId, year, month) {
+    function formatJumuahCell(jumuah) {
+        const times = jumuah.sessions.map((session, index) => html`${index > 0 && html`<br>`}${session.jamaat}`);
+        return html`${times}<span class="jumuah-label">Jumu'ah</span>`;
+    }
+
+    /**
+     * Render monthly timetable with separate Begins/Jama'at columns.
+     * With `extended` (by default the visitor's extended times choice) it
+     * adds Ishraq, Zawal and the end of Asr, marking the makruh times.
+     */
+    async function renderMonthlyTable(containerId, year, month, { extended } = {}) {
         const container = document.getElementById(containerId);
         if (!container) return;
 
-        container.innerHTML = '<p class="text-center">Loading prayer times...</p>';
+        // Follow the visitor's choice unless the caller has fixed it
+        extendedMonthlyTable = extended === undefined ? { containerId, year, month } : null;
+        const showExtended = extended === undefined ? isExtendedTimesOn() : extended;
+
+        render(container, html`<p class="text-center">Loading prayer times...</p>`);
 
         const calendar = await getMonthlyCalendar(year, month);
+        const hijriCalendar = await loadHijriCalendarData();
+
+        if (!calendar && !(await isYearPublished(year))) {
+            render(container, html`<p class="text-center timetable-not-published">The ${year} prayer timetable has not yet been published. Please check back soon.</p>`);
+            return;
+        }
 
         if (!calendar || calendar.length === 0) {
-            container.innerHTML = '<p class="text-center">Could not load prayer times. Please try again later.</p>';
+            render(container, html`<p class="text-center">Could not load prayer times. Please try again later.</p>`);
             return;
         }
 
-        const today = new Date().getDate();
-        const currentMonth = new Date().getMonth() + 1;
-        const currentYear = new Date().getFullYear();
+        const todayDate = LondonTime.today();
+        const today = todayDate.getDate();
+        const currentMonth = todayDate.getMonth() + 1;
+        const currentYear = todayDate.getFullYear();
+
+        const rows = calendar.map(day => {
+            const isToday = day.date === today && month === currentMonth && year === currentYear;
+            // Friday rows are marked as on the printable calendars
+            const isFriday = new Date(year, month - 1, day.date).getDay() === 5;
+            const rowClass = [isToday ? 'today-row' : '', isFriday ? 'friday' : ''].filter(Boolean).join(' ');
+            const todayLabel = isToday && html`<span class="today-label">Today</span>`;
+            const hijriLabel = hijriCalendar && formatHijriDayLabel(computeHijriDate(hijriCalendar, new Date(year, month - 1, day.date)));
 
-        let html = `
+            return html`
+                <tr class="${rowClass}">
+                    <td class="col-date sticky-col">${day.date}${hijriLabel}${todayLabel}</td>
+                    <td class="col-day sticky-col-2">${day.day}</td>
+                    <td class="col-begins">${day.sehri_end}</td>
+                    <td class="col-jamaat">${day.fajr_jamaat}</td>
+                    <td class="col-sunrise">${day.sunrise}</td>
+                    ${showExtended && html`<td class="col-ishraq">${day.ishraq}</td>`}
+                    ${showExtended && html`<td class="col-zawal is-makruh">${day.dhahwa_kubra}</td>`}
+                    <td class="col-begins">${day.dhuhr_begins}</td>
+                    <td class="col-jamaat">${day.jumuah ? formatJumuahCell(day.jumuah) : day.dhuhr_jamaat}</td>
+                    <td class="col-begins">${day.asr_begins}</td>
+                    <td class="col-jamaat">${day.asr_jamaat}</td>
+                    ${showExtended && html`<td class="col-asr-end is-makruh">${day.asr_end}</td>`}
+                    <td class="col-maghrib">${day.maghrib}</td>
+                    <td class="col-begins">${day.isha_begins}</td>
+                    <td class="col-jamaat">${day.isha_jamaat}</td>
+                </tr>
+            `;
+        });
+
+        render(container, html`
             <div class="timetable-wrapper">
-            <table class="prayer-times-table">
+            <table class="prayer-times-table${showExtended ? ' is-extended' : ''}">
                 <thead>
                     <tr class="header-main">
                         <th class="col-date sticky-col" rowspan="2">Date</th>
@@ -285,6 +1120,10 @@ const PrayerTimes = (function() {
                                 <span class="prayer-name">Sunrise</span>
                             </span>
                         </th>
+                        ${showExtended && html`
+                            <th class="col-prayer-single" rowspan="2"><span class="prayer-name">Ishraq / Chasht</span></th>
+                            <th class="col-prayer-single is-makruh" rowspan="2"><span class="prayer-name">Zawal</span><span class="makruh-label">Makruh</span></th>
+                        `}
                         <th class="col-prayer-group" colspan="2">
                             <span class="prayer-header">
                                 <span class="prayer-icon">${PRAYER_ICONS.dhuhr}</span>
@@ -297,6 +1136,9 @@ const PrayerTimes = (function() {
                                 <span class="prayer-name">Asr</span>
                             </span>
                         </th>
+                        ${showExtended && html`
+                            <th class="col-prayer-single is-makruh" rowspan="2"><span class="prayer-name">Asr Ends</span><span class="makruh-label">Makruh</span></th>
+                        `}
                         <th class="col-prayer-single" rowspan="2">
                             <span class="prayer-header">
                                 <span class="prayer-icon">${PRAYER_ICONS.maghrib}</span>
@@ -322,48 +1164,161 @@ const PrayerTimes = (function() {
                     </tr>
                 </thead>
                 <tbody>
-        `;
+                    ${rows}
+                </tbody>
+            </table>
+            </div>
+            <div class="timetable-footer">
+                <p>Official prayer times from Greenwich Madina Trust's ${year} timetable.</p>
+            </div>
+        `);
+    }
 
-        calendar.forEach(day => {
-            const isToday = day.date === today && month === currentMonth && year === currentYear;
-            const rowClass = isToday ? 'today-row' : '';
-            const todayLabel = isToday ? '<span class="today-label">Today</span>' : '';
+    /**
+     * Render the Ramadan timetable for the Ramadan containing `date`.
+     * Resolves to false (leaving the container untouched) outside Ramadan.
+     */
+    async function renderRamadanTable(containerId, date = LondonTime.today()) {
+        const container = document.getElementById(containerId);
+        if (!container) return false;
+
+        const ramadan = await getRamadan(date);
+        if (!ramadan) return false;
+
+        const { days, settings } = ramadan;
+        const todayKey = getDateKey(date);
+        const oddNights = settings.laylatAlQadrNights;
+        const lastRoza = days[days.length - 1].roza;
 
-            html += `
+        if (days.every(day => !day.times)) {
+            render(container, html`<p class="text-center timetable-not-published">The timetable for Ramadan ${ramadan.hijriYear} AH has not yet been published. Please check back soon.</p>`);
+            return true;
+        }
+
+        const rows = days.map(day => {
+            const times = day.times;
+            // Each night belongs to the next Hijri day, so the odd nights
+            // begin at the iftar of the roza before
+            const night = day.roza + 1;
+            const isOddNight = day.roza < lastRoza && oddNights.includes(night);
+            const isToday = getDateKey(day.date) === todayKey;
+            const rowClass = [isToday ? 'today-row' : '', isOddNight ? 'odd-night-row' : ''].filter(Boolean).join(' ');
+            const todayLabel = isToday && html`<span class="today-label">Today</span>`;
+            const nightLabel = isOddNight && html`<span class="odd-night-label">Night ${night}</span>`;
+            const taraweeh = day.roza < lastRoza ? getTaraweehTime(times, settings.taraweeh) : '';
+
+            return html`
                 <tr class="${rowClass}">
-                    <td class="col-date sticky-col">${day.date}${todayLabel}</td>
-                    <td class="col-day sticky-col-2">${day.day}</td>
-                    <td class="col-begins">${day.sehri_end}</td>
-                    <td class="col-jamaat">${day.fajr_jamaat}</td>
-                    <td class="col-sunrise">${day.sunrise}</td>
-                    <td class="col-begins">${day.dhuhr_begins}</td>
-                    <td class="col-jamaat">${day.dhuhr_jamaat}</td>
-                    <td class="col-begins">${day.asr_begins}</td>
-                    <td class="col-jamaat">${day.asr_jamaat}</td>
-                    <td class="col-maghrib">${day.maghrib}</td>
-                    <td class="col-begins">${day.isha_begins}</td>
-                    <td class="col-jamaat">${day.isha_jamaat}</td>
+                    <td class="col-roza">${day.roza}${day.provisional && html`<span class="hijri-day is-provisional">est.</span>`}</td>
+                    <td class="col-date">${day.date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })}${todayLabel}</td>
+                    <td class="col-day">${times ? times.day : ''}</td>
+                    <td class="col-sehri">${times ? times.sehri_end : '--:--'}</td>
+                    <td class="col-jamaat">${times ? times.fajr_jamaat : '--:--'}</td>
+                    <td class="col-iftar">${times ? times.maghrib : '--:--'}</td>
+                    <td class="col-taraweeh">${taraweeh || '—'}${nightLabel}</td>
                 </tr>
             `;
         });
 
-        html += '</tbody></table></div>';
+        const eidTimes = settings.eidSalah.map(salah => html`<li><strong>${salah.time}</strong> ${salah.label || ''}</li>`);
+        const eidDate = ramadan.eidDate.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
 
-        // Add note about official times
-        html += `
-            <div class="timetable-footer">
-                <p>Official prayer times from Greenwich Madina Trust's 2026 timetable.</p>
+        render(container, html`
+            <div class="timetable-wrapper">
+            <table class="prayer-times-table ramadan-table">
+                <thead>
+                    <tr>
+                        <th class="col-roza">Roza</th>
+                        <th class="col-date">Date</th>
+                        <th class="col-day">Day</th>
+                        <th class="col-sehri">Sehri Ends</th>
+                        <th class="col-jamaat">Fajr Jama'at</th>
+                        <th class="col-iftar">Iftar</th>
+                        <th class="col-taraweeh">Taraweeh</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+            </div>
+            <div class="timetable-footer ramadan-footer">
+                ${settings.taraweeh.note && html`<p>Taraweeh: ${settings.taraweeh.note}</p>`}
+                ${oddNights.length > 0 && html`<p>Highlighted rows begin the odd nights of the last ten (${oddNights.join(', ')}), when Laylat al-Qadr is sought.</p>`}
+                <div class="eid-salah">
+                    <h3>Eid al-Fitr Salah</h3>
+                    <p>Expected ${eidDate}${ramadan.provisional && ' (subject to moon sighting)'}</p>
+                    ${eidTimes.length ? html`<ul class="eid-salah-times">${eidTimes}</ul>` : html`<p>Eid salah times will be announced.</p>`}
+                </div>
             </div>
-        `;
+        `);
+        return true;
+    }
+
+    /**
+     * Render every time for one day, Jumu'ah sessions included on Fridays.
+     * Resolves to false if the day's timetable isn't available.
+     */
+    async function renderDayTimes(containerId, date) {
+        const container = document.getElementById(containerId);
+        if (!container) return false;
+
+        render(container, html`<p class="text-center">Loading prayer times...</p>`);
+
+        const dayData = await getTimesForDate(date);
+        if (!dayData) {
+            const year = date.getFullYear();
+            const monthName = date.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+            render(container, await isYearPublished(year)
+                ? html`<p class="text-center">Prayer times for ${monthName} haven't been added yet. Please check back soon.</p>`
+                : html`<p class="text-center timetable-not-published">The ${year} prayer timetable has not yet been published. Please check back soon.</p>`);
+            return false;
+        }
 
-        container.innerHTML = html;
+        const rows = DAY_VIEW_TIMES.map(time => {
+            const icon = PRAYER_ICONS[time.key];
+            const isJumuah = time.key === 'dhuhr' && dayData.jumuah;
+            const name = html`
+                <th scope="row" class="day-times-name">
+                    ${icon && html`<span class="prayer-icon">${icon}</span>`}${isJumuah ? "Jumu'ah" : time.name}
+                </th>
+            `;
+
+            if (!time.jamaat) {
+                return html`<tr class="day-times-note-row">${name}<td class="col-begins" colspan="2">${time.begins(dayData)}</td></tr>`;
+            }
+            const jamaat = isJumuah
+                ? dayData.jumuah.sessions.map((session, index) => html`${index > 0 && html`<br>`}${session.jamaat}`)
+                : time.jamaat(dayData);
+            return html`<tr>${name}<td class="col-begins">${time.begins(dayData)}</td><td class="col-jamaat">${jamaat}</td></tr>`;
+        });
+
+        render(container, html`
+            <div class="timetable-wrapper">
+            <table class="day-times-table">
+                <thead>
+                    <tr>
+                        <th scope="col"><span class="visually-hidden">Prayer</span></th>
+                        <th scope="col" class="col-begins">Begins</th>
+                        <th scope="col" class="col-jamaat">Jama'at</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+            </div>
+            ${dayData.note && html`<p class="day-times-note">${dayData.note}</p>`}
+            ${dayData.jumuah && dayData.jumuah.note && html`<p class="day-times-note">${dayData.jumuah.note}</p>`}
+        `);
+        return true;
     }
 
     /**
      * Get metadata from the prayer times file
      */
-    async function getMetadata() {
-        const data = await loadPrayerTimesData();
+    async function getMetadata(year = LondonTime.today().getFullYear()) {
+        const data = await loadPrayerTimesData(year);
         return data ? data.metadata : null;
     }
 
@@ -372,14 +1327,29 @@ const PrayerTimes = (function() {
         getTodaysTimes,
         getTimesForDate,
         getMonthlyCalendar,
+        getHijriDate,
+        getHijriDateFor,
+        getJumuahTimes,
+        getNextJumuah,
+        getNextPrayer,
+        getPrayerSchedule,
+        getRamadan,
+        isYearPublished,
         updateDisplay,
+        startLiveBanner,
+        stopLiveBanner,
         renderMonthlyTable,
+        renderRamadanTable,
+        renderDayTimes,
+        getExtendedTimes,
+        isExtendedTimesOn,
+        setExtendedTimes,
         getMetadata
     };
 })();
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', function() {
-    // Update prayer banner on all pages
-    PrayerTimes.updateDisplay();
+    // Update prayer banner on all pages, then keep it live
+    PrayerTimes.updateDisplay().then(PrayerTimes.startLiveBanner);
 });
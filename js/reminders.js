@@ -0,0 +1,274 @@
+/**
+ * Jama'at Reminders for Greenwich Madina Trust
+ * Opt-in local notifications before each chosen jama'at, with separate
+ * reminders for each Jumu'ah session on Fridays. Everything runs on the device: times come
+ * from PrayerTimes.getPrayerSchedule and choices are kept in localStorage.
+ *
+ * Reminders are shown through the service worker (sw.js), which mobile
+ * browsers require. Where the browser supports notification triggers they
+ * are scheduled ahead so they arrive with the site closed; otherwise they
+ * fire while a page of the site is open.
+ */
+
+const JamaatReminders = (function() {
+    const STORAGE_KEY = 'gmt_jamaat_reminders';
+    const TAG_PREFIX = 'jamaat-reminder-';
+
+    const PRAYER_KEYS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+
+    const DEFAULT_PREFERENCES = {
+        prayers: {},
+        minutesBefore: 15,
+        jumuah: false,
+        jumuahMinutesBefore: 30
+    };
+
+    // How far ahead reminders are scheduled with notification triggers
+    const SCHEDULE_DAYS = 2;
+
+    let reminderTimer = null;
+
+    function isSupported() {
+        return 'Notification' in window && 'serviceWorker' in navigator;
+    }
+
+    function supportsTriggers() {
+        return 'Notification' in window && 'showTrigger' in Notification.prototype && 'TimestampTrigger' in window;
+    }
+
+    /**
+     * Saved choices, merged over the defaults
+     */
+    function getPreferences() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Object.assign({}, DEFAULT_PREFERENCES, saved, {
+                prayers: Object.assign({}, saved && saved.prayers)
+            });
+        } catch (e) {
+            return Object.assign({}, DEFAULT_PREFERENCES, { prayers: {} });
+        }
+    }
+
+    function savePreferences(preferences) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+        } catch (e) {
+            console.warn('Could not save reminder preferences:', e);
+        }
+    }
+
+    function hasAnyReminder(preferences) {
+        return preferences.jumuah || PRAYER_KEYS.some(key => preferences.prayers[key]);
+    }
+
+    /**
+     * Reminders due after `now` for the next few days, soonest first.
+     * On Fridays Dhuhr is Jumu'ah and follows the Jumu'ah setting instead,
+     * with a reminder before each session.
+     */
+    async function getUpcomingReminders(now = LondonTime.now(), preferences = getPreferences()) {
+        const reminders = [];
+
+        for (let offset = 0; offset < SCHEDULE_DAYS; offset++) {
+            const date = LondonTime.addDays(LondonTime.dayOf(now), offset);
+            const schedule = await PrayerTimes.getPrayerSchedule(date);
+            if (!schedule) continue;
+
+            schedule.forEach(prayer => {
+                const wanted = prayer.isJumuah ? preferences.jumuah : preferences.prayers[prayer.key];
+                if (!wanted) return;
+
+                const minutes = prayer.isJumuah ? preferences.jumuahMinutesBefore : preferences.minutesBefore;
+
+                // One reminder per Jumu'ah session; later sessions get -2, -3... tags
+                (prayer.sessions || [prayer]).forEach((jamaat, index) => {
+                    const at = new Date(jamaat.jamaatAt.getTime() - minutes * 60 * 1000);
+                    if (at <= now) return;
+
+                    reminders.push({
+                        at,
+                        tag: `${TAG_PREFIX}${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}-${prayer.key}${index ? `-${index + 1}` : ''}`,
+                        title: `${jamaat.name} Jama'at in ${minutes} minutes`,
+                        body: `${jamaat.name} jama'at at ${jamaat.jamaat}, Ghousia Masjid`
+                    });
+                });
+            });
+        }
+
+        return reminders.sort((a, b) => a.at - b.at);
+    }
+
+    async function showReminder(reminder, trigger) {
+        const registration = await navigator.serviceWorker.ready;
+        const options = {
+            tag: reminder.tag,
+            body: reminder.body,
+            icon: 'images/gemini-logo-final.png',
+            badge: 'images/gemini-logo-final.png',
+            data: { url: 'prayer-times.html' }
+        };
+        if (trigger) {
+            options.showTrigger = new TimestampTrigger(reminder.at.getTime());
+        }
+        return registration.showNotification(reminder.title, options);
+    }
+
+    /**
+     * Remove reminders scheduled earlier, so changed choices take effect
+     */
+    async function cancelScheduled() {
+        if (!supportsTriggers()) return;
+
+        const registration = await navigator.serviceWorker.ready;
+        const pending = await registration.getNotifications({ includeTriggered: true });
+        pending.filter(notification => notification.tag.startsWith(TAG_PREFIX))
+            .forEach(notification => notification.close());
+    }
+
+    /**
+     * Schedule the next reminders. With triggers they are all handed to the
+     * browser; otherwise a timer waits for the soonest and then reschedules.
+     */
+    async function scheduleReminders() {
+        clearTimeout(reminderTimer);
+        reminderTimer = null;
+
+        if (!isSupported() || Notification.permission !== 'granted') return;
+
+        const preferences = getPreferences();
+        const reminders = hasAnyReminder(preferences) ? await getUpcomingReminders(LondonTime.now(), preferences) : [];
+
+        if (supportsTriggers()) {
+            await cancelScheduled();
+            await Promise.all(reminders.map(reminder => showReminder(reminder, true)));
+            return;
+        }
+
+        const next = reminders[0];
+        if (!next) return;
+
+        reminderTimer = setTimeout(async () => {
+            await showReminder(next, false);
+            scheduleReminders();
+        }, next.at - LondonTime.now());
+    }
+
+    /**
+     * Ask for permission (must follow a click) and save the choices
+     */
+    async function enable(preferences) {
+        if (!isSupported()) return 'unsupported';
+
+        const permission = Notification.permission === 'granted'
+            ? 'granted'
+            : await Notification.requestPermission();
+
+        savePreferences(preferences);
+        if (permission === 'granted') {
+            await scheduleReminders();
+        }
+        return permission;
+    }
+
+    async function disable() {
+        savePreferences(Object.assign({}, DEFAULT_PREFERENCES, { prayers: {} }));
+        clearTimeout(reminderTimer);
+        reminderTimer = null;
+        if (isSupported()) {
+            await cancelScheduled();
+        }
+    }
+
+    /**
+     * Wire up the preferences form on prayer-times.html
+     */
+    function initForm() {
+        const form = document.getElementById('jamaat-reminders-form');
+        if (!form) return;
+
+        const status = document.getElementById('jamaat-reminders-status');
+        const setStatus = text => { if (status) status.textContent = text; };
+
+        if (!isSupported()) {
+            form.querySelectorAll('input, select, button').forEach(control => { control.disabled = true; });
+            setStatus("This browser can't show notifications. On iPhone, add the site to your home screen first.");
+            return;
+        }
+
+        const preferences = getPreferences();
+        form.querySelectorAll('input[name="reminder-prayer"]').forEach(input => {
+            input.checked = !!preferences.prayers[input.value];
+        });
+        form.elements['reminder-jumuah'].checked = preferences.jumuah;
+        form.elements['reminder-minutes'].value = String(preferences.minutesBefore);
+        form.elements['reminder-jumuah-minutes'].value = String(preferences.jumuahMinutesBefore);
+
+        if (Notification.permission === 'denied') {
+            setStatus('Notifications are blocked for this site. Allow them in your browser settings to get reminders.');
+        } else if (Notification.permission === 'granted' && hasAnyReminder(preferences)) {
+            setStatus('Reminders are on for this device.');
+        }
+
+        form.addEventListener('submit', async function(e) {
+            e.preventDefault();
+
+            const chosen = {
+                prayers: {},
+                minutesBefore: Number(form.elements['reminder-minutes'].value),
+                jumuah: form.elements['reminder-jumuah'].checked,
+                jumuahMinutesBefore: Number(form.elements['reminder-jumuah-minutes'].value)
+            };
+            form.querySelectorAll('input[name="reminder-prayer"]:checked').forEach(input => {
+                chosen.prayers[input.value] = true;
+            });
+
+            if (!hasAnyReminder(chosen)) {
+                await disable();
+                setStatus('Reminders are off.');
+                return;
+            }
+
+            const permission = await enable(chosen);
+            if (permission === 'granted') {
+                setStatus(supportsTriggers()
+                    ? 'Saved. Reminders will arrive even with the site closed.'
+                    : 'Saved. Reminders arrive while a page of this site is open in your browser.');
+            } else {
+                setStatus('Notifications were not allowed, so reminders are off.');
+            }
+        });
+
+        document.getElementById('jamaat-reminders-off')?.addEventListener('click', async function() {
+            await disable();
+            form.querySelectorAll('input[type="checkbox"]').forEach(input => { input.checked = false; });
+            setStatus('Reminders are off.');
+        });
+    }
+
+    function init() {
+        initForm();
+        scheduleReminders();
+
+        // Timers stall in background tabs, so recheck on return
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') scheduleReminders();
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    // Public API
+    return {
+        getPreferences,
+        getUpcomingReminders,
+        scheduleReminders,
+        enable,
+        disable
+    };
+})();
@@ -0,0 +1,121 @@
+/**
+ * Safe HTML rendering for Greenwich Madina Trust
+ * Every renderer builds its markup with the `html` tagged template, which
+ * escapes whatever is interpolated into it:
+ *
+ *   const { html, render } = SafeHtml;
+ *   render(container, html`<a href="${post.url}">${post.title}</a>`);
+ *
+ * Values are escaped as text; arrays are joined, false/null/undefined are
+ * dropped, and nested html`` results are kept as markup. A value placed in
+ * an href/src attribute must also be a relative URL or use http(s), mailto:
+ * or tel:, otherwise it becomes "#". raw() marks markup that is already
+ * safe, and should only wrap fixed strings in the code.
+ */
+
+const SafeHtml = (function() {
+    'use strict';
+
+    const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+    // An interpolation straight after one of these opens a URL attribute
+    const URL_ATTRIBUTE = /\s(?:href|src|srcset|action|formaction|poster)\s*=\s*["']?$/i;
+
+    /**
+     * The policy for a <meta http-equiv="Content-Security-Policy"> tag. It
+     * can only be adopted once a page has no inline <script> blocks or
+     * on* handler attributes (news.html so far; test/csp.test.mjs checks
+     * the copies match). Inline styles remain allowed, as pages still
+     * use style="" and page-specific <style> blocks.
+     */
+    const CONTENT_SECURITY_POLICY = [
+        "default-src 'self'",
+        "script-src 'self' https://www.googletagmanager.com https://cdn.jsdelivr.net https://w.behold.so",
+        "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com https://cdn.jsdelivr.net",
+        "font-src 'self' https://fonts.gstatic.com",
+        "img-src 'self' data: https://i.ytimg.com https://img.youtube.com https://*.behold.pictures https://www.googletagmanager.com",
+        "media-src 'self'",
+        "frame-src https://www.youtube.com https://www.youtube-nocookie.com https://www.google.com",
+        "connect-src 'self' https://www.googleapis.com https://*.google-analytics.com https://*.analytics.google.com https://www.googletagmanager.com https://*.behold.so",
+        "object-src 'none'",
+        "base-uri 'self'",
+        "form-action 'self'"
+    ].join('; ');
+
+    // Marks markup that is already escaped
+    class TrustedHtml {
+        constructor(markup) {
+            this.markup = markup;
+        }
+
+        toString() {
+            return this.markup;
+        }
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * The URL if its scheme is allowed (or it has none), otherwise "#".
+     * Browsers ignore control characters and spaces inside a scheme, so
+     * those are removed before checking.
+     */
+    function safeUrl(url) {
+        const value = String(url == null ? '' : url).trim();
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value.replace(/[\u0000- \u007f]/g, ''));
+        if (!scheme) return value;
+        return SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase()) ? value : '#';
+    }
+
+    function toMarkup(value, isUrl) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof TrustedHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(item => toMarkup(item, isUrl)).join('');
+        return escapeHtml(isUrl ? safeUrl(value) : value);
+    }
+
+    /**
+     * Tagged template that escapes every interpolated value
+     */
+    function html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, index) => {
+            markup += toMarkup(value, URL_ATTRIBUTE.test(markup)) + strings[index + 1];
+        });
+        return new TrustedHtml(markup);
+    }
+
+    function raw(markup) {
+        return new TrustedHtml(String(markup));
+    }
+
+    /**
+     * Replace an element's content. Plain strings are shown as text.
+     */
+    function render(element, content) {
+        element.innerHTML = toMarkup(content, false);
+    }
+
+    // Public API
+    return {
+        html,
+        raw,
+        render,
+        escapeHtml,
+        safeUrl,
+        isTrusted: value => value instanceof TrustedHtml,
+        CONTENT_SECURITY_POLICY
+    };
+})();
+
+// Allow use from Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeHtml;
+}
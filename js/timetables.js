@@ -0,0 +1,61 @@
+/**
+ * Timetable Documents for Greenwich Madina Trust
+ * Reads data/timetables.json and works out which month's PDF is current,
+ * going by today's London date (set window.GMT_TEST_DATE to preview another;
+ * see js/london-time.js).
+ */
+
+const Timetables = (function() {
+    const MANIFEST_URL = 'data/timetables.json';
+
+    let manifestRequest = null;
+
+    /**
+     * Load timetable entries, oldest first
+     */
+    function loadTimetables() {
+        if (!manifestRequest) {
+            manifestRequest = fetch(MANIFEST_URL, { cache: 'no-cache' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Failed to load timetables manifest');
+                    }
+                    return response.json();
+                })
+                .then(data => (data.timetables || [])
+                    .filter(entry => entry.pdf && entry.liveFrom)
+                    .sort((a, b) => a.liveFrom.localeCompare(b.liveFrom)))
+                .catch(error => {
+                    console.error('Error loading timetables:', error);
+                    manifestRequest = null;
+                    return [];
+                });
+        }
+        return manifestRequest;
+    }
+
+    /**
+     * Latest timetable whose liveFrom date has arrived
+     */
+    async function getCurrentTimetable(today = LondonTime.todayIso()) {
+        const entries = await loadTimetables();
+        const live = entries.filter(entry => entry.liveFrom <= today);
+        return live.length ? live[live.length - 1] : null;
+    }
+
+    /**
+     * Earlier live timetables, newest first
+     */
+    async function getArchive(today = LondonTime.todayIso()) {
+        const entries = await loadTimetables();
+        const live = entries.filter(entry => entry.liveFrom <= today);
+        return live.slice(0, -1).reverse();
+    }
+
+    // Public API
+    return {
+        loadTimetables,
+        getCurrentTimetable,
+        getArchive
+    };
+})();
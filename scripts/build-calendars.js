@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Build subscribable calendar feeds into data/calendar/
+ *
+ *   jamaat-times.ics  every published jama'at (Fajr–Isha, and on Fridays each
+ *                     Jumu'ah session from data/jumuah.json)
+ *   events.ics        events from data/events.json that have a startDate
+ *
+ * Usage: npm run build:calendars
+ * Re-run after updating a timetable or events.json, then commit the output.
+ * DTSTAMPs come from the data (the timetable versions in the manifest and
+ * the latest event date), so rebuilding unchanged data gives the same files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const IcsCalendar = require('../js/ics.js');
+const Jumuah = require('../js/jumuah.js');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, 'data', 'calendar');
+
+const MONTH_NAMES = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+/**
+ * Midnight UTC on the latest of some YYYY-MM-DD dates
+ */
+function latestDate(dates) {
+    const latest = dates.filter(Boolean).sort().pop();
+    return latest ? new Date(`${latest}T00:00:00Z`) : null;
+}
+
+// Manifest versions start with the date the file changed, e.g. "20260703"
+function versionDate(version) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(version || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * A yearly timetable with each Friday's Jumu'ah merged into its row, the
+ * way PrayerTimes.getMonthlyCalendar gives rows to the browser export
+ */
+function withJumuah(data, jumuah) {
+    const year = data.metadata && data.metadata.year;
+    const merged = Object.assign({}, data);
+    MONTH_NAMES.forEach((monthName, index) => {
+        if (!Array.isArray(data[monthName])) return;
+        merged[monthName] = data[monthName].map(day => {
+            const sessions = Jumuah.forDate(jumuah, `${year}-${pad(index + 1)}-${pad(day.date)}`);
+            return sessions ? Object.assign({}, day, { jumuah: sessions }) : day;
+        });
+    });
+    return merged;
+}
+
+/**
+ * jamaat-times.ics for every timetable in the manifest
+ */
+function buildJamaatCalendar() {
+    const manifest = readJson('data/prayer-times-manifest.json');
+    const jumuah = readJson('data/jumuah.json');
+    const timetables = Object.values(manifest.years);
+    const jamaatEvents = timetables.reduce((events, entry) => {
+        return events.concat(IcsCalendar.buildPrayerEventsForYear(withJumuah(readJson(entry.file), jumuah)));
+    }, []);
+    return IcsCalendar.createCalendar(jamaatEvents, {
+        name: "Ghousia Masjid Jama'at Times",
+        now: timetablesStamp(manifest)
+    });
+}
+
+function timetablesStamp(manifest) {
+    return latestDate(Object.values(manifest.years).map(entry => versionDate(entry.version)));
+}
+
+function writeCalendar(filename, content) {
+    fs.writeFileSync(path.join(OUTPUT_DIR, filename), content);
+    console.log(`Wrote data/calendar/${filename}`);
+}
+
+function main() {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    writeCalendar('jamaat-times.ics', buildJamaatCalendar());
+
+    const eventsData = readJson('data/events.json');
+    // Each scheduled event's spotlight carries the details; the older
+    // single top-level spotlight is still picked up
+    const eventEntries = (eventsData.events || [])
+        .filter(event => event.enabled !== false)
+        .map(event => event.spotlight)
+        .concat(eventsData.spotlight)
+        .filter(Boolean);
+    const eventsStamp = latestDate((eventsData.events || []).map(event => event.showFrom)
+        .concat(eventEntries.map(entry => entry.startDate)));
+    writeCalendar('events.ics', IcsCalendar.createCalendar(IcsCalendar.buildEventEntries(eventEntries), {
+        name: 'Greenwich Madina Trust Events',
+        now: eventsStamp || timetablesStamp(readJson('data/prayer-times-manifest.json'))
+    }));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildJamaatCalendar };
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * Build the site's news and events feeds
+ *
+ *   feed.xml   Atom 1.0
+ *   feed.json  JSON Feed 1.1
+ *
+ * Items come from the posts in data/facebook-news-preview.json and the
+ * scheduled events in data/events.json, newest first. Pages advertise the
+ * feeds with <link rel="alternate"> so feed readers can find them.
+ *
+ * Usage: npm run build:feeds
+ * Re-run after updating the news feed or events.json, then commit the output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SITE_URL = 'https://greenwichmadinatrust.org.uk/';
+const FEED_TITLE = 'Greenwich Madina Trust';
+const FEED_DESCRIPTION = 'News and events from Greenwich Madina Trust and Ghousia Masjid.';
+const MAX_ITEMS = 50;
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+function writeFile(filename, content) {
+    fs.writeFileSync(path.join(ROOT, filename), content);
+    console.log(`Wrote ${filename}`);
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Site paths become absolute URLs; tel:, mailto: and external links are kept
+ */
+function absoluteUrl(url) {
+    return new URL(url, SITE_URL).href;
+}
+
+/**
+ * "20 July 2026" or "2026-07-20" as midday UTC, so the day never shifts
+ */
+function toIsoDate(value) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? new Date(`${value}T12:00:00Z`)
+        : new Date(`${value} 12:00 UTC`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().replace('.000', '');
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function renderImage(image) {
+    return `<p><img src="${escapeXml(absoluteUrl(image.url))}" alt="${escapeXml(image.alt || '')}"></p>`;
+}
+
+function renderLink(url, label) {
+    return `<p><a href="${escapeXml(absoluteUrl(url))}">${escapeXml(label)}</a></p>`;
+}
+
+/**
+ * The post body as HTML: text, key details, images and links, as on news.html
+ */
+function renderPostHtml(post) {
+    const parts = (post.text_blocks || []).map(block => `<p>${escapeXml(block)}</p>`);
+
+    if (post.key_details && post.key_details.length) {
+        parts.push('<ul>' + post.key_details
+            .map(detail => `<li><strong>${escapeXml(detail.label)}:</strong> ${escapeXml(detail.value)}</li>`)
+            .join('') + '</ul>');
+    }
+
+    if (post.poster) parts.push(renderImage(post.poster));
+    (post.gallery || []).forEach(image => parts.push(renderImage(image)));
+
+    if (post.action_url) parts.push(renderLink(post.action_url, post.action_label || 'Find out more'));
+    if (post.donation_url) parts.push(renderLink(post.donation_url, 'Donate now'));
+    if (post.source === 'facebook' && post.source_url) parts.push(renderLink(post.source_url, 'View post on Facebook'));
+
+    return parts.join('\n');
+}
+
+function buildNewsItems(feed) {
+    return (feed.posts || []).map(post => {
+        const date = toIsoDate(post.published_date) || toIsoDate(feed.updated_at);
+        const image = post.poster || (post.gallery || [])[0];
+        return {
+            id: absoluteUrl(`news.html#${post.slug}`),
+            url: absoluteUrl(`news.html#${post.slug}`),
+            title: post.title,
+            summary: (post.text_blocks || [])[0] || '',
+            html: renderPostHtml(post),
+            image: image ? absoluteUrl(image.url) : null,
+            date,
+            tags: post.eyebrow ? [post.eyebrow] : []
+        };
+    });
+}
+
+/**
+ * Enabled events with a dated spotlight, dated from when they are announced
+ */
+function buildEventItems(eventsData) {
+    // The older single top-level spotlight is still picked up
+    const events = (eventsData.events || [])
+        .concat(eventsData.spotlight ? [{ spotlight: eventsData.spotlight }] : []);
+
+    return events
+        .filter(event => event.enabled !== false && event.spotlight && event.spotlight.startDate)
+        .map(event => {
+            const spotlight = event.spotlight;
+            const details = [
+                ['Date', spotlight.date],
+                ['Time', spotlight.time],
+                ['Location', spotlight.location]
+            ].filter(([, value]) => value);
+
+            const parts = [`<p>${escapeXml(spotlight.description || '')}</p>`];
+            if (details.length) {
+                parts.push('<ul>' + details
+                    .map(([label, value]) => `<li><strong>${label}:</strong> ${escapeXml(value)}</li>`)
+                    .join('') + '</ul>');
+            }
+            if (spotlight.poster) parts.push(renderImage({ url: spotlight.poster, alt: `Poster for ${spotlight.title}` }));
+            if (spotlight.buttonUrl) parts.push(renderLink(spotlight.buttonUrl, spotlight.buttonText || 'Find out more'));
+
+            return {
+                id: absoluteUrl(`events.html#${event.id || `${spotlight.startDate}-${slugify(spotlight.title)}`}`),
+                url: absoluteUrl('events.html'),
+                title: spotlight.date ? `${spotlight.title} (${spotlight.date})` : spotlight.title,
+                summary: spotlight.description || '',
+                html: parts.join('\n'),
+                image: spotlight.poster ? absoluteUrl(spotlight.poster) : null,
+                date: toIsoDate(event.showFrom || spotlight.startDate),
+                tags: ['Events']
+            };
+        });
+}
+
+function buildAtom(items, updated) {
+    const entries = items.map(item => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <published>${item.date}</published>
+    <updated>${item.date}</updated>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`);
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-GB">
+  <id>${SITE_URL}</id>
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${SITE_URL}feed.xml"/>
+  <link rel="alternate" type="text/html" href="${SITE_URL}news.html"/>
+  <icon>${SITE_URL}images/gemini-logo-final.png</icon>
+  <author><name>${escapeXml(FEED_TITLE)}</name></author>
+  <updated>${updated}</updated>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function buildJsonFeed(items) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: FEED_TITLE,
+        description: FEED_DESCRIPTION,
+        home_page_url: `${SITE_URL}news.html`,
+        feed_url: `${SITE_URL}feed.json`,
+        icon: `${SITE_URL}images/gemini-logo-final.png`,
+        language: 'en-GB',
+        authors: [{ name: FEED_TITLE, url: SITE_URL }],
+        items: items.map(item => {
+            const entry = {
+                id: item.id,
+                url: item.url,
+                title: item.title,
+                summary: item.summary,
+                content_html: item.html,
+                date_published: item.date
+            };
+            if (item.image) entry.image = item.image;
+            if (item.tags.length) entry.tags = item.tags;
+            return entry;
+        })
+    };
+    return JSON.stringify(feed, null, 2) + '\n';
+}
+
+function main() {
+    const news = readJson('data/facebook-news-preview.json');
+    const items = buildNewsItems(news)
+        .concat(buildEventItems(readJson('data/events.json')))
+        .filter(item => item.date)
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, MAX_ITEMS);
+
+    // Derived from the content rather than the clock, so rebuilding unchanged data changes nothing
+    const updated = [toIsoDate(news.updated_at)].concat(items.map(item => item.date))
+        .filter(Boolean)
+        .sort()
+        .pop();
+
+    writeFile('feed.xml', buildAtom(items, updated));
+    writeFile('feed.json', buildJsonFeed(items));
+}
+
+main();
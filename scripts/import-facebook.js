@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * Import posts from a Facebook Page data export into the news feed
+ *
+ * Reads a JSON or HTML export ("Download your information" in either
+ * format), finds the posts files (posts/your_posts_*.json or .html, or
+ * profile_posts_*) and, for every post not already in
+ * data/facebook-news-preview.json:
+ *   - splits the body into text_blocks, one per line
+ *   - derives the title, slug and published_date (Europe/London)
+ *   - copies attached photos into images/news/, resized with sharp
+ *
+ * An HTML export has no timestamps, so post times are read from the dates
+ * shown on the page, which are in the downloading account's time zone
+ * (London for the Page's admins). Use JSON where there's a choice.
+ *
+ * Existing posts are never changed, so hand edits survive a re-import.
+ * Imported posts are matched by `import_id` (the Facebook timestamp). Posts
+ * written by hand before the importer existed have no import_id; each of
+ * those stands in for one exported post from the same London day with the
+ * same title or opening text (compared without case or punctuation). Other
+ * posts that share a title (a weekly "Jumu'ah Mubarak") get -2, -3... slugs.
+ * Review the new entries (eyebrow, title, alt text) and run
+ * npm run validate:news.
+ *
+ * Usage: npm run import:facebook -- <export-folder> [--since YYYY-MM-DD] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const FEED_FILE = path.join(ROOT, 'data', 'facebook-news-preview.json');
+const IMAGE_DIR = 'images/news';
+const PAGE_URL = 'https://www.facebook.com/GreenwichMadinaTrust/';
+
+// Formats sharp reads in a standard install (HEIC needs a custom libvips)
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const MAX_IMAGE_WIDTH = 1200;
+const JPEG_QUALITY = 82;
+const MAX_TITLE_LENGTH = 90;
+const MAX_SLUG_LENGTH = 60;
+// Opening characters compared when matching a hand-written post
+const TEXT_PREFIX_LENGTH = 40;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function parseArgs(argv) {
+    const options = { exportDir: null, since: null, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--since') options.since = argv[++i];
+        else if (!options.exportDir) options.exportDir = arg;
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    if (!options.exportDir) {
+        throw new Error('Usage: npm run import:facebook -- <export-folder> [--since YYYY-MM-DD] [--dry-run]');
+    }
+    if (options.since && !/^\d{4}-\d{2}-\d{2}$/.test(options.since)) {
+        throw new Error('--since must be a YYYY-MM-DD date');
+    }
+    return options;
+}
+
+/**
+ * Facebook exports write UTF-8 text as Latin-1 escapes ("â\u0080\u0099"
+ * for an apostrophe); turn it back into proper text
+ */
+function fixEncoding(text) {
+    if (!text) return '';
+    return /[\u0080-\u00ff]/.test(text) && !/[^\u0000-\u00ff]/.test(text)
+        ? Buffer.from(text, 'latin1').toString('utf8')
+        : text;
+}
+
+/**
+ * Posts files anywhere in the export, e.g. your_activity_across_facebook/posts/your_posts_1.json
+ * (or .html)
+ */
+function findPostFiles(dir) {
+    const found = [];
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            found.push(...findPostFiles(fullPath));
+        } else if (/^(your_posts|profile_posts)[\w-]*\.(json|html)$/.test(entry.name)) {
+            found.push(fullPath);
+        }
+    });
+    return found;
+}
+
+function londonDateParts(timestamp) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: 'Europe/London', year: 'numeric', month: 'long', day: 'numeric'
+    }).formatToParts(new Date(timestamp * 1000)).reduce((acc, part) => {
+        if (part.type !== 'literal') acc[part.type] = part.value;
+        return acc;
+    }, {});
+    const iso = new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/London' }).format(new Date(timestamp * 1000));
+    return { label: `${parts.day} ${parts.month} ${parts.year}`, iso };
+}
+
+/**
+ * Seconds since the epoch for a wall-clock time in London
+ */
+function londonTimestamp(year, month, day, hour, minute, second) {
+    const asUtc = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    const londonHour = Number(new Intl.DateTimeFormat('en-GB', {
+        timeZone: 'Europe/London', hour: 'numeric', hourCycle: 'h23'
+    }).format(asUtc));
+    // London is on UTC or one hour ahead of it
+    const offset = (londonHour - asUtc.getUTCHours() + 24) % 24;
+    return asUtc.getTime() / 1000 - offset * 3600;
+}
+
+/**
+ * Timestamp for a date as an HTML export shows it, month first
+ * ("Oct 16, 2026 12:00:00 pm") or day first ("16 Oct 2026, 12:00"),
+ * or null if it can't be read
+ */
+function parseExportDate(text) {
+    const time = '(?:,? |,? at )(\\d{1,2}):(\\d{2})(?::(\\d{2}))? ?([ap]m)?';
+    const monthFirst = text.match(new RegExp(`([a-z]{3})[a-z]*\\.? (\\d{1,2}),? (\\d{4})${time}`, 'i'));
+    const dayFirst = text.match(new RegExp(`(\\d{1,2}) ([a-z]{3})[a-z]*\\.? (\\d{4})${time}`, 'i'));
+    if (!monthFirst && !dayFirst) return null;
+
+    const [monthName, day, year, hour, minute, second, meridiem] = monthFirst
+        ? monthFirst.slice(1)
+        : [dayFirst[2], dayFirst[1], ...dayFirst.slice(3)];
+    const month = MONTHS.indexOf(monthName.toLowerCase()) + 1;
+    if (!month) return null;
+
+    let hours = Number(hour);
+    if (meridiem) hours = hours % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    return londonTimestamp(Number(year), month, Number(day), hours, Number(minute), Number(second || 0));
+}
+
+function slugify(text) {
+    const slug = text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    if (slug.length <= MAX_SLUG_LENGTH) return slug;
+    return slug.slice(0, MAX_SLUG_LENGTH).replace(/-[^-]*$/, '');
+}
+
+/**
+ * Shorten the first line to a headline, breaking between words
+ */
+function makeTitle(text) {
+    const line = text.replace(/\s+/g, ' ').trim();
+    if (line.length <= MAX_TITLE_LENGTH) return line;
+    return line.slice(0, MAX_TITLE_LENGTH).replace(/\s+\S*$/, '') + '…';
+}
+
+function splitTextBlocks(text) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Normalise one exported post into { id, timestamp, text, photos, links }
+ */
+function readExportedPost(post) {
+    const text = (post.data || [])
+        .map(item => fixEncoding(item.post))
+        .filter(Boolean)
+        .join('\n');
+
+    const photos = [];
+    const links = [];
+    (post.attachments || []).forEach(attachment => {
+        (attachment.data || []).forEach(item => {
+            if (item.media && IMAGE_EXTENSIONS.includes(path.extname(item.media.uri || '').toLowerCase())) {
+                photos.push({ uri: item.media.uri, description: fixEncoding(item.media.description || '') });
+            }
+            if (item.external_context && item.external_context.url) {
+                links.push(item.external_context.url);
+            }
+        });
+    });
+
+    return { id: `facebook:${post.timestamp}`, timestamp: post.timestamp, text, photos, links };
+}
+
+/**
+ * Posts from an HTML export file, in the shape readExportedPost gives.
+ * Facebook's class names are generated; these are the ones its exports
+ * use for a post's box, text and date.
+ */
+function readHtmlPosts(file, exportDir) {
+    const { JSDOM } = loadJsdom();
+    const document = new JSDOM(fs.readFileSync(file, 'utf8')).window.document;
+
+    return [...document.querySelectorAll('._a6-g, .uiBoxWhite')].map(box => {
+        const dateElement = box.querySelector('._a72d, ._2lem');
+        const dateText = dateElement ? dateElement.textContent : '';
+        const timestamp = parseExportDate(dateText);
+        if (timestamp === null) {
+            throw new Error(`Could not read the post date "${dateText.trim()}" in ${file}`);
+        }
+
+        // Innermost text boxes, with their line breaks kept
+        const text = [...box.querySelectorAll('._2pin')]
+            .filter(element => !element.querySelector('._2pin'))
+            .map(element => {
+                element.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+                element.querySelectorAll('div, p').forEach(block => block.append('\n'));
+                return element.textContent.trim();
+            })
+            .filter(Boolean)
+            .join('\n');
+
+        // Media paths are relative to the export folder, or failing that to the file
+        const photos = [...box.querySelectorAll('img[src]')]
+            .map(img => img.getAttribute('src'))
+            .filter(src => !/^[a-z]+:/i.test(src) && IMAGE_EXTENSIONS.includes(path.extname(src).toLowerCase()))
+            .map(src => ({
+                uri: fs.existsSync(path.join(exportDir, src)) ? src : path.relative(exportDir, path.join(path.dirname(file), src)),
+                description: ''
+            }));
+
+        // Shared links, leaving out the permalink around the date
+        const links = [...box.querySelectorAll('a[href^="http"]')]
+            .filter(link => !dateElement || !link.contains(dateElement))
+            .map(link => link.href);
+
+        return { id: `facebook:${timestamp}`, timestamp, text, photos, links };
+    });
+}
+
+function uniqueSlug(base, taken) {
+    let slug = base || 'facebook-post';
+    for (let n = 2; taken.has(slug); n++) {
+        slug = `${base}-${n}`;
+    }
+    taken.add(slug);
+    return slug;
+}
+
+/**
+ * Copy a photo into images/news/ as a resized JPEG
+ */
+async function copyPhoto(sharp, exportDir, uri, name, dryRun) {
+    const source = path.join(exportDir, uri);
+    if (!fs.existsSync(source)) {
+        console.warn(`  ! ${uri} is missing from the export, skipped`);
+        return null;
+    }
+
+    const target = `${IMAGE_DIR}/${name}.jpg`;
+    if (!dryRun) {
+        try {
+            await sharp(source)
+                .rotate()
+                .resize({ width: MAX_IMAGE_WIDTH, withoutEnlargement: true })
+                .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+                .toFile(path.join(ROOT, target));
+        } catch (error) {
+            console.warn(`  ! ${uri} could not be converted (${error.message}), skipped`);
+            return null;
+        }
+    }
+    return target;
+}
+
+async function buildFeedPost(sharp, exportDir, exported, slug, dryRun) {
+    const blocks = splitTextBlocks(exported.text);
+    const title = makeTitle(blocks[0] || 'Update from Greenwich Madina Trust');
+    const date = londonDateParts(exported.timestamp);
+
+    const post = {
+        slug,
+        import_id: exported.id,
+        source: 'facebook',
+        source_url: PAGE_URL,
+        published_label: `${date.label} on Facebook`,
+        published_date: date.label,
+        eyebrow: 'Update',
+        title,
+        text_blocks: blocks.length ? blocks : [title]
+    };
+
+    if (exported.links.length) {
+        post.action_label = 'Learn more';
+        post.action_url = exported.links[0];
+    }
+
+    const images = [];
+    for (const [index, photo] of exported.photos.entries()) {
+        const name = exported.photos.length === 1 ? slug : `${slug}-${index + 1}`;
+        const url = await copyPhoto(sharp, exportDir, photo.uri, name, dryRun);
+        if (url) {
+            images.push({
+                url,
+                alt: photo.description || (exported.photos.length === 1 ? `Poster for ${title}` : `Photo ${index + 1} for ${title}`)
+            });
+        }
+    }
+
+    if (images.length === 1) post.poster = images[0];
+    if (images.length > 1) post.gallery = images;
+
+    return post;
+}
+
+function loadJsdom() {
+    try {
+        return require('jsdom');
+    } catch (error) {
+        throw new Error('jsdom is not installed. Run npm install first.');
+    }
+}
+
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        throw new Error('sharp is not installed. Run npm install first.');
+    }
+}
+
+function postTime(post) {
+    const time = Date.parse(`${post.published_date} 12:00 UTC`);
+    return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Lower-case letters and digits only, so curly and straight quotes or
+ * a changed dash still compare equal
+ */
+function normaliseText(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Keys a post is recognised by: its London day with its title, and with
+ * the opening of its text
+ */
+function matchKeys(isoDate, title, text) {
+    const opening = normaliseText(text).slice(0, TEXT_PREFIX_LENGTH).trim();
+    return [['title', normaliseText(title)], ['text', opening]]
+        .filter(([, value]) => value)
+        .map(([kind, value]) => `${isoDate} ${kind} ${value}`);
+}
+
+/**
+ * Every post with text or photos in a JSON or HTML export, oldest first
+ */
+function readExport(exportDir) {
+    const files = findPostFiles(exportDir);
+    if (!files.length) {
+        throw new Error(`No your_posts_*.json or .html files found in ${exportDir}`);
+    }
+
+    return files
+        .flatMap(file => file.endsWith('.html')
+            ? readHtmlPosts(file, exportDir)
+            : JSON.parse(fs.readFileSync(file, 'utf8')).map(readExportedPost))
+        .filter(post => post.text || post.photos.length)
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Feed entries for the exported posts that aren't in the feed yet
+ */
+async function importPosts(feed, exported, { exportDir, since = null, dryRun = false, sharp = null }) {
+    const posts = feed.posts || [];
+    const knownIds = new Set(posts.map(post => post.import_id).filter(Boolean));
+    const slugs = new Set(posts.map(post => post.slug));
+
+    // Hand-written posts predate import_id; each matches one exported post
+    const handWritten = new Map();
+    posts.filter(post => !post.import_id && postTime(post)).forEach(post => {
+        const isoDate = new Date(postTime(post)).toISOString().slice(0, 10);
+        const keys = matchKeys(isoDate, post.title, (post.text_blocks || []).join(' '));
+        keys.forEach(key => handWritten.set(key, keys));
+    });
+
+    const added = [];
+    for (const item of exported) {
+        if (knownIds.has(item.id)) continue;
+
+        const date = londonDateParts(item.timestamp);
+        if (since && date.iso < since) continue;
+
+        const title = makeTitle(splitTextBlocks(item.text)[0] || '');
+        const match = matchKeys(date.iso, title, item.text).map(key => handWritten.get(key)).find(Boolean);
+        if (match) {
+            match.forEach(key => handWritten.delete(key));
+            continue;
+        }
+
+        const base = slugify(title);
+
+        const post = await buildFeedPost(sharp, exportDir, item, uniqueSlug(base, slugs), dryRun);
+        knownIds.add(item.id);
+        added.push(post);
+    }
+    return added;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const exportDir = path.resolve(options.exportDir);
+    const exported = readExport(exportDir);
+
+    const feed = JSON.parse(fs.readFileSync(FEED_FILE, 'utf8'));
+    const sharp = options.dryRun ? null : loadSharp();
+    const added = await importPosts(feed, exported, { ...options, exportDir, sharp });
+    added.forEach(post => console.log(`+ ${post.published_date}  ${post.slug}`));
+
+    if (!added.length) {
+        console.log('No new posts to import.');
+        return;
+    }
+
+    // Newest first; posts already in the feed keep their order within a day
+    feed.posts = (feed.posts || []).concat(added).sort((a, b) => postTime(b) - postTime(a));
+    feed.updated_at = new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/London' }).format(new Date());
+
+    if (options.dryRun) {
+        console.log(`Dry run: ${added.length} post${added.length === 1 ? '' : 's'} would be added.`);
+        return;
+    }
+
+    fs.writeFileSync(FEED_FILE, JSON.stringify(feed, null, 2) + '\n');
+    console.log(`Added ${added.length} post${added.length === 1 ? '' : 's'}. Review the new entries, then run npm run validate:news and npm run build:feeds.`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { readExport, importPosts };
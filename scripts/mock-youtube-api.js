@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the YouTube Data API endpoints used by
+ * scripts/snapshot-youtube.js (channels, playlistItems, playlists and videos)
+ *
+ * Serves a channel with 60 uploads in three series and two playlists, paged
+ * like the real API. --live makes the newest upload a live stream and
+ * --upcoming adds a scheduled stream; a request without a key gets the
+ * API's 403 error.
+ *
+ * Usage: node scripts/mock-youtube-api.js [--port 8788] [--live] [--upcoming]
+ */
+
+const http = require('http');
+
+const args = process.argv.slice(2);
+const PORT = Number(args[args.indexOf('--port') + 1]) || 8788;
+const LIVE = args.includes('--live');
+const UPCOMING = args.includes('--upcoming');
+
+const UPLOADS_PLAYLIST = 'UU-mock-uploads';
+const UPLOAD_COUNT = 60;
+const SERIES = ['Gyarwee Shareef', 'Dars-e-Quran', "Jumu'ah talk"];
+
+// Fixed for the life of the server, so repeat snapshots match
+const STARTED_AT = new Date();
+
+function thumbnails(videoId) {
+    return { high: { url: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` } };
+}
+
+function mockVideos() {
+    const videos = Array.from({ length: UPLOAD_COUNT }, (_, index) => ({
+        id: `mock-video-${index + 1}`,
+        title: `${SERIES[index % SERIES.length]}: mock recording ${index + 1}`,
+        publishedAt: new Date(Date.UTC(2026, 9, 18 - index * 3, 19)).toISOString(),
+        liveBroadcastContent: 'none'
+    }));
+
+    if (LIVE) {
+        videos.unshift({
+            id: 'mock-live',
+            title: 'LIVE: Mock Gyarwee Shareef',
+            publishedAt: STARTED_AT.toISOString(),
+            liveBroadcastContent: 'live',
+            liveStreamingDetails: { actualStartTime: STARTED_AT.toISOString() }
+        });
+    }
+    if (UPCOMING) {
+        videos.unshift({
+            id: 'mock-upcoming',
+            title: 'Mock Mawlid (scheduled)',
+            publishedAt: STARTED_AT.toISOString(),
+            liveBroadcastContent: 'upcoming',
+            liveStreamingDetails: { scheduledStartTime: new Date(STARTED_AT.getTime() + 2 * 60 * 60 * 1000).toISOString() }
+        });
+    }
+    return videos;
+}
+
+/**
+ * Channel playlists: the uploads, plus one per series except Jumu'ah talks
+ */
+function mockPlaylists(videos) {
+    return [
+        { id: UPLOADS_PLAYLIST, videos },
+        { id: 'PL-mock-gyarwee', title: 'Gyarwee Shareef', videos: videos.filter(video => video.title.startsWith('Gyarwee')) },
+        { id: 'PL-mock-dars', title: 'Dars-e-Quran', videos: videos.filter(video => video.title.startsWith('Dars')) }
+    ];
+}
+
+/**
+ * Slice a list the way the API pages it, with the offset as the page token
+ */
+function paginate(items, url) {
+    const max = Math.min(Number(url.searchParams.get('maxResults')) || 5, 50);
+    const start = Number(url.searchParams.get('pageToken')) || 0;
+    const page = { items: items.slice(start, start + max) };
+    if (start + max < items.length) page.nextPageToken = String(start + max);
+    return page;
+}
+
+function respond(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, `http://localhost:${PORT}`);
+    const endpoint = url.pathname.split('/').pop();
+    console.log(`${request.method} ${url.pathname}${url.search}`);
+
+    if (!url.searchParams.get('key')) {
+        respond(response, 403, { error: { code: 403, message: 'The request is missing a valid API key.' } });
+        return;
+    }
+
+    const videos = mockVideos();
+    const playlists = mockPlaylists(videos);
+
+    switch (endpoint) {
+        case 'channels':
+            respond(response, 200, {
+                items: [{ id: url.searchParams.get('id'), contentDetails: { relatedPlaylists: { uploads: UPLOADS_PLAYLIST } } }]
+            });
+            break;
+        case 'playlists': {
+            const page = paginate(playlists.filter(playlist => playlist.title), url);
+            page.items = page.items.map(playlist => ({ id: playlist.id, snippet: { title: playlist.title } }));
+            respond(response, 200, page);
+            break;
+        }
+        case 'playlistItems': {
+            const playlist = playlists.find(item => item.id === url.searchParams.get('playlistId'));
+            if (!playlist) {
+                respond(response, 404, { error: { code: 404, message: 'The playlist identified with the request\'s playlistId parameter cannot be found.' } });
+                return;
+            }
+            const page = paginate(playlist.videos, url);
+            page.items = page.items.map(video => ({
+                snippet: { title: video.title, publishedAt: video.publishedAt, thumbnails: thumbnails(video.id) },
+                contentDetails: { videoId: video.id, videoPublishedAt: video.publishedAt }
+            }));
+            respond(response, 200, page);
+            break;
+        }
+        case 'videos': {
+            const ids = (url.searchParams.get('id') || '').split(',');
+            respond(response, 200, {
+                items: videos.filter(video => ids.includes(video.id)).map(video => ({
+                    id: video.id,
+                    snippet: {
+                        title: video.title,
+                        publishedAt: video.publishedAt,
+                        thumbnails: thumbnails(video.id),
+                        liveBroadcastContent: video.liveBroadcastContent
+                    },
+                    liveStreamingDetails: video.liveStreamingDetails
+                }))
+            });
+            break;
+        }
+        default:
+            respond(response, 404, { error: { code: 404, message: `No mock for ${url.pathname}` } });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock YouTube API on http://localhost:${PORT}${LIVE ? ' (live)' : ''}${UPCOMING ? ' (upcoming)' : ''}`);
+});
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * Snapshot the YouTube channel so the site needs no API key in the browser
+ *
+ *   data/youtube.json          latest uploads, any live stream and any
+ *                              scheduled streams (js/youtube.js)
+ *   data/youtube-library.json  every upload and the channel's playlists
+ *                              (js/media-library.js)
+ *
+ * Run on a schedule (see .github/workflows/youtube-snapshot.yml) with the key
+ * in YOUTUBE_API_KEY. A run costs about 3 quota units, plus one for every 50
+ * uploads and one per playlist for the library.
+ *
+ * Files are only rewritten when something has changed, and are left as they
+ * are if the API fails, so the site keeps showing the last good snapshot.
+ * Neither file is committed by hand: before the first run the pages that
+ * read them show their static fallback (a known video and channel links).
+ *
+ * To try it against a local mock of the API:
+ *   node scripts/mock-youtube-api.js --live
+ *   YOUTUBE_API_KEY=test node scripts/snapshot-youtube.js --api-base http://localhost:8788 --out-dir /tmp
+ *
+ * Usage: YOUTUBE_API_KEY=... npm run snapshot:youtube [-- --api-base <url>] [--out-dir <folder>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, 'data');
+const SNAPSHOT_FILE = 'youtube.json';
+const LIBRARY_FILE = 'youtube-library.json';
+const API_BASE = 'https://www.googleapis.com/youtube/v3';
+const CHANNEL_ID = 'UCTlPBYKq48KKhrdn51A7F5w';
+const MAX_VIDEOS = 4;
+
+// Scheduled and live streams sit at the top of the uploads playlist, so
+// look a little further than MAX_VIDEOS to find finished videos
+const RECENT_UPLOADS = 15;
+
+function parseArgs(argv) {
+    const options = {
+        apiBase: process.env.YOUTUBE_API_BASE || API_BASE,
+        outDir: OUTPUT_DIR
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--api-base') options.apiBase = argv[++i];
+        else if (arg === '--out-dir') options.outDir = path.resolve(argv[++i]);
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+    return options;
+}
+
+async function callApi(apiBase, apiKey, endpoint, params) {
+    const url = new URL(`${apiBase.replace(/\/$/, '')}/${endpoint}`);
+    Object.entries({ ...params, key: apiKey }).forEach(([name, value]) => url.searchParams.set(name, value));
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const reason = body.error && body.error.message ? `: ${body.error.message}` : '';
+        throw new Error(`${endpoint} failed with HTTP ${response.status}${reason}`);
+    }
+    return response.json();
+}
+
+/**
+ * Every item from a paged list endpoint, 50 at a time
+ */
+async function callApiAllPages(apiBase, apiKey, endpoint, params) {
+    const items = [];
+    let pageToken = '';
+
+    do {
+        const page = await callApi(apiBase, apiKey, endpoint, {
+            ...params,
+            maxResults: 50,
+            ...(pageToken ? { pageToken } : {})
+        });
+        items.push(...(page.items || []));
+        pageToken = page.nextPageToken || '';
+    } while (pageToken);
+
+    return items;
+}
+
+function pickThumbnail(thumbnails = {}) {
+    const best = thumbnails.maxres || thumbnails.high || thumbnails.medium || thumbnails.default;
+    return best ? best.url : '';
+}
+
+/**
+ * Sort the recent uploads into live, upcoming and finished videos
+ */
+function buildSnapshot(videoItems) {
+    const snapshot = { channelId: CHANNEL_ID, live: null, upcoming: [], videos: [] };
+
+    videoItems.forEach(item => {
+        const details = item.liveStreamingDetails || {};
+        const video = {
+            videoId: item.id,
+            title: item.snippet.title,
+            thumbnail: pickThumbnail(item.snippet.thumbnails)
+        };
+
+        switch (item.snippet.liveBroadcastContent) {
+            case 'live':
+                if (!snapshot.live) snapshot.live = { ...video, startedAt: details.actualStartTime || null };
+                break;
+            case 'upcoming':
+                snapshot.upcoming.push({ ...video, scheduledStartTime: details.scheduledStartTime || null });
+                break;
+            default:
+                if (snapshot.videos.length < MAX_VIDEOS) {
+                    snapshot.videos.push({ ...video, publishedAt: item.snippet.publishedAt });
+                }
+        }
+    });
+
+    snapshot.upcoming.sort((a, b) => String(a.scheduledStartTime).localeCompare(String(b.scheduledStartTime)));
+    return snapshot;
+}
+
+async function fetchUploadsPlaylistId(apiBase, apiKey) {
+    const channel = await callApi(apiBase, apiKey, 'channels', { part: 'contentDetails', id: CHANNEL_ID });
+    if (!channel.items || !channel.items.length) throw new Error(`Channel ${CHANNEL_ID} not found`);
+    return channel.items[0].contentDetails.relatedPlaylists.uploads;
+}
+
+async function fetchSnapshot(apiBase, apiKey, uploadsPlaylistId) {
+    const uploads = await callApi(apiBase, apiKey, 'playlistItems', {
+        part: 'contentDetails',
+        playlistId: uploadsPlaylistId,
+        maxResults: RECENT_UPLOADS
+    });
+    const ids = (uploads.items || []).map(item => item.contentDetails.videoId);
+    if (!ids.length) return buildSnapshot([]);
+
+    // videos.list keeps the requested order, newest upload first
+    const videos = await callApi(apiBase, apiKey, 'videos', {
+        part: 'snippet,liveStreamingDetails',
+        id: ids.join(',')
+    });
+    return buildSnapshot(videos.items || []);
+}
+
+/**
+ * Every finished upload, newest first, and the videos in each playlist.
+ * Live and scheduled streams from the snapshot are left out, as are
+ * private and deleted videos (which have no thumbnails).
+ */
+async function fetchLibrary(apiBase, apiKey, uploadsPlaylistId, snapshot) {
+    const streamIds = new Set(snapshot.upcoming.map(video => video.videoId));
+    if (snapshot.live) streamIds.add(snapshot.live.videoId);
+
+    const uploads = await callApiAllPages(apiBase, apiKey, 'playlistItems', {
+        part: 'snippet,contentDetails',
+        playlistId: uploadsPlaylistId
+    });
+    const videos = uploads
+        .filter(item => !streamIds.has(item.contentDetails.videoId) && pickThumbnail(item.snippet.thumbnails))
+        .map(item => ({
+            videoId: item.contentDetails.videoId,
+            title: item.snippet.title,
+            thumbnail: pickThumbnail(item.snippet.thumbnails),
+            publishedAt: item.contentDetails.videoPublishedAt || item.snippet.publishedAt
+        }))
+        .sort((a, b) => String(b.publishedAt).localeCompare(String(a.publishedAt)));
+
+    const playlists = [];
+    for (const playlist of await callApiAllPages(apiBase, apiKey, 'playlists', { part: 'snippet', channelId: CHANNEL_ID })) {
+        const items = await callApiAllPages(apiBase, apiKey, 'playlistItems', {
+            part: 'contentDetails',
+            playlistId: playlist.id
+        });
+        playlists.push({
+            id: playlist.id,
+            title: playlist.snippet.title,
+            videoIds: items.map(item => item.contentDetails.videoId)
+        });
+    }
+
+    return { channelId: CHANNEL_ID, videos, playlists };
+}
+
+function readExisting(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function withoutTimestamp(snapshot) {
+    const { generatedAt, ...content } = snapshot || {};
+    return JSON.stringify(content);
+}
+
+function writeIfChanged(file, content, summary) {
+    const relative = file.startsWith(ROOT) ? path.relative(ROOT, file) : file;
+
+    if (withoutTimestamp(readExisting(file)) === withoutTimestamp(content)) {
+        console.log(`${relative} is up to date.`);
+        return;
+    }
+
+    const output = { generatedAt: new Date().toISOString(), ...content };
+    fs.writeFileSync(file, JSON.stringify(output, null, 2) + '\n');
+    console.log(`Wrote ${relative}: ${summary}`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const apiKey = process.env.YOUTUBE_API_KEY;
+    if (!apiKey) throw new Error('Set YOUTUBE_API_KEY to a YouTube Data API key.');
+
+    // Fetch everything before writing, so a failure leaves both files alone
+    const uploadsPlaylistId = await fetchUploadsPlaylistId(options.apiBase, apiKey);
+    const snapshot = await fetchSnapshot(options.apiBase, apiKey, uploadsPlaylistId);
+    const library = await fetchLibrary(options.apiBase, apiKey, uploadsPlaylistId, snapshot);
+
+    writeIfChanged(path.join(options.outDir, SNAPSHOT_FILE), snapshot,
+        `${snapshot.videos.length} videos, ${snapshot.live ? 'live now' : 'not live'}, ${snapshot.upcoming.length} scheduled`);
+    writeIfChanged(path.join(options.outDir, LIBRARY_FILE), library,
+        `${library.videos.length} videos, ${library.playlists.length} playlists`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
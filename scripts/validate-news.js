@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Validate the news feed before it goes live
+ *
+ * Checks data/facebook-news-preview.json (or the file given on the command
+ * line) against data/schemas/news-feed.schema.json, then:
+ *   - slugs are unique
+ *   - every image path exists
+ *   - URLs are valid, and links within the site point at real pages and posts
+ *   - every legacy anchor (post-1, post-2...) maps to a current slug
+ *
+ * The schema uses the subset of JSON Schema implemented below, plus these
+ * formats: "date" (YYYY-MM-DD), "uri" (http/https), "local-path" (a file in
+ * the repo) and "link" (http/https, tel:, mailto: or a page on the site).
+ *
+ * Usage: npm run validate:news [-- data/other-feed.json]
+ * Runs offline and exits with status 1 if any check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const FEED_FILE = 'data/facebook-news-preview.json';
+const SCHEMA_FILE = 'data/schemas/news-feed.schema.json';
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.resolve(ROOT, relativePath), 'utf8'));
+}
+
+function fileExists(relativePath) {
+    return fs.existsSync(path.join(ROOT, decodeURIComponent(relativePath)));
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Format checks. Site links are collected and checked once all slugs are known.
+ */
+function checkFormat(format, value, where, context) {
+    switch (format) {
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+                ? null : `${where}: "${value}" is not a YYYY-MM-DD date`;
+        case 'uri':
+            return isHttpUrl(value) ? null : `${where}: "${value}" is not an http(s) URL`;
+        case 'local-path':
+            if (/^[a-z]+:/i.test(value) || value.startsWith('/')) {
+                return `${where}: "${value}" should be a path within the site`;
+            }
+            return fileExists(value) ? null : `${where}: ${value} does not exist`;
+        case 'link':
+            if (/^(tel|mailto):/.test(value) || isHttpUrl(value)) return null;
+            if (/^[a-z]+:/i.test(value)) return `${where}: "${value}" is not a supported link`;
+            context.siteLinks.push({ where, value });
+            return null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validate a value against a schema node (type, enum, pattern, minLength,
+ * format, required, properties, additionalProperties, items, minItems, $ref)
+ */
+function validate(value, schema, where, context) {
+    const errors = [];
+
+    if (schema.$ref) {
+        const name = schema.$ref.replace('#/$defs/', '');
+        return validate(value, context.schema.$defs[name], where, context);
+    }
+
+    if (schema.type && typeOf(value) !== schema.type) {
+        return [`${where}: expected ${schema.type}, got ${typeOf(value)}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where}: "${value}" is not one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength && value.length < schema.minLength) {
+            errors.push(`${where}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+        }
+        if (schema.format) {
+            const error = checkFormat(schema.format, value, where, context);
+            if (error) errors.push(error);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${where}: needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(item, schema.items, `${where}[${index}]`, context));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${where}: missing required "${key}"`);
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties && schema.properties[key];
+            if (childSchema) {
+                errors.push(...validate(child, childSchema, `${where}.${key}`, context));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}: unexpected property "${key}"`);
+            } else if (typeOf(schema.additionalProperties) === 'object') {
+                errors.push(...validate(child, schema.additionalProperties, `${where}.${key}`, context));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Site links must point at an existing page; links to news.html#<slug>
+ * must name a current post or legacy anchor
+ */
+function checkSiteLinks(siteLinks, slugs, legacyAnchors) {
+    const errors = [];
+
+    siteLinks.forEach(({ where, value }) => {
+        const [page, anchor] = value.split('#');
+        if (page && !fileExists(page.split('?')[0])) {
+            errors.push(`${where}: ${page} does not exist`);
+        }
+        if (page === 'news.html' && anchor && !slugs.has(anchor)) {
+            errors.push(legacyAnchors[anchor]
+                ? `${where}: use news.html#${legacyAnchors[anchor]} instead of the old #${anchor} anchor`
+                : `${where}: no post with slug "${anchor}"`);
+        }
+    });
+
+    return errors;
+}
+
+function validateFeed(file) {
+    const feed = readJson(file);
+    const context = { schema: readJson(SCHEMA_FILE), siteLinks: [] };
+    const errors = validate(feed, context.schema, 'feed', context);
+
+    const posts = Array.isArray(feed.posts) ? feed.posts : [];
+    const slugs = new Set();
+    posts.forEach((post, index) => {
+        if (!post.slug) return;
+        if (slugs.has(post.slug)) errors.push(`feed.posts[${index}]: duplicate slug "${post.slug}"`);
+        slugs.add(post.slug);
+    });
+
+    const legacyAnchors = feed.legacy_anchors || {};
+    Object.entries(legacyAnchors).forEach(([anchor, slug]) => {
+        if (!slugs.has(slug)) errors.push(`feed.legacy_anchors.${anchor}: no post with slug "${slug}"`);
+    });
+
+    return errors.concat(checkSiteLinks(context.siteLinks, slugs, legacyAnchors));
+}
+
+function main() {
+    const file = process.argv[2] || FEED_FILE;
+    const errors = validateFeed(file);
+
+    if (errors.length) {
+        console.error(`✗ ${file}: ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exitCode = 1;
+    } else {
+        console.log(`✓ ${file}`);
+        process.exitCode = 0;
+    }
+}
+
+main();
@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * Validate yearly prayer timetable data before it goes live
+ *
+ * Checks every file listed in data/prayer-times-manifest.json (or the files
+ * given on the command line):
+ *   - each month has the right number of days and correct weekday names
+ *   - every time is a valid HH:MM
+ *   - each row is in order (sehri end < sunrise < dhuhr < asr < maghrib < isha)
+ *   - every jama'at is at or after its begins time
+ *   - data/hijri-calendar.json announces every date, with 29 or 30 days
+ *     between month starts, and the `moon` counter agrees with it
+ *   - day-to-day changes are small, except across the BST/GMT clock changes
+ *
+ * Jumps the printed timetable really has (such as sehri end switching to
+ * and from its fixed summer time) are listed in the file's
+ * metadata.known_exceptions as { date, field, reason }; the day-to-day
+ * check skips those fields on those dates.
+ *
+ * Usage: npm run validate:timetable [-- data/prayer-times-2027.json]
+ * Runs offline and exits with status 1 if any check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const TIME_FIELDS = [
+    'sehri_end', 'fajr_jamaat', 'sunrise', 'ishraq', 'dhahwa_kubra',
+    'dhuhr_begins', 'dhuhr_jamaat', 'asr_begins', 'asr_jamaat', 'asr_end',
+    'maghrib', 'isha_begins', 'isha_jamaat'
+];
+
+// Begins times that must increase through the day
+const DAY_ORDER = ['sehri_end', 'sunrise', 'dhuhr_begins', 'asr_begins', 'maghrib', 'isha_begins'];
+
+// Jama'at field -> begins field it must not precede
+const JAMAAT_AFTER = {
+    fajr_jamaat: 'sehri_end',
+    dhuhr_jamaat: 'dhuhr_begins',
+    asr_jamaat: 'asr_begins',
+    isha_jamaat: 'isha_begins'
+};
+
+// Astronomical times drift by a few minutes a day at most
+const MAX_DAILY_CHANGE = {
+    sehri_end: 8,
+    sunrise: 5,
+    dhuhr_begins: 3,
+    asr_begins: 5,
+    maghrib: 5,
+    isha_begins: 10
+};
+
+// The clocks move by an hour; allow the same daily drift either side of it
+const CLOCK_CHANGE_MINUTES = 60;
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.resolve(ROOT, relativePath), 'utf8'));
+}
+
+function toMinutes(time) {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+}
+
+function isValidTime(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function isoDate(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Last Sunday of a month: the UK clock change dates
+ */
+function lastSunday(year, month) {
+    const date = new Date(Date.UTC(year, month, 0));
+    date.setUTCDate(date.getUTCDate() - date.getUTCDay());
+    return isoDate(year, month, date.getUTCDate());
+}
+
+/**
+ * Announced Hijri month starts as [{ start: 'YYYY-MM-DD', label }], oldest first
+ */
+function getHijriMonthStarts(calendar) {
+    const months = Array.isArray(calendar.months)
+        ? calendar.months
+        : [calendar.currentMonth, calendar.nextMonth];
+
+    return months
+        .filter(month => month && month.gregorianStartDate)
+        .map(month => ({
+            start: month.gregorianStartDate,
+            label: `${month.hijriMonth} ${month.hijriYear}`
+        }))
+        .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+/**
+ * Announced months that don't last 29 or 30 days
+ */
+function validateMonthStarts(monthStarts) {
+    const errors = [];
+    for (let i = 1; i < monthStarts.length; i++) {
+        const length = daysBetween(monthStarts[i - 1].start, monthStarts[i].start);
+        if (length !== 29 && length !== 30) {
+            errors.push(`${monthStarts[i - 1].label} lasts ${length} days (from ${monthStarts[i - 1].start} to ${monthStarts[i].start})`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Expected Hijri day for a date, or null when no announcement covers it:
+ * before the first month, or past the 30th day of the last one
+ */
+function expectedMoonDay(date, monthStarts) {
+    let match = null;
+    monthStarts.forEach(month => {
+        if (month.start <= date) match = month;
+    });
+    if (!match) return null;
+
+    const days = daysBetween(match.start, date) + 1;
+    return days <= 30 ? days : null;
+}
+
+function validateTimetable(file, monthStarts) {
+    const errors = [];
+    const data = readJson(file);
+    const year = data.metadata && data.metadata.year;
+
+    if (!Number.isInteger(year)) {
+        return [`${file}: metadata.year is missing`];
+    }
+
+    const springForward = lastSunday(year, 3);
+    const fallBack = lastSunday(year, 10);
+    const exceptions = new Set((data.metadata.known_exceptions || [])
+        .map(exception => `${exception.date} ${exception.field}`));
+    let previous = null;
+
+    MONTHS.forEach((monthName, monthIndex) => {
+        const rows = data[monthName];
+        if (rows === undefined) return;
+
+        const month = monthIndex + 1;
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+        if (!Array.isArray(rows)) {
+            errors.push(`${monthName}: expected an array of days`);
+            return;
+        }
+        if (rows.length !== daysInMonth) {
+            errors.push(`${monthName}: has ${rows.length} days, expected ${daysInMonth}`);
+        }
+
+        rows.forEach((row, index) => {
+            const where = `${monthName} ${row.date}`;
+            const date = isoDate(year, month, row.date);
+
+            if (row.date !== index + 1) {
+                errors.push(`${monthName} row ${index + 1}: date is ${row.date}, expected ${index + 1}`);
+                return;
+            }
+
+            const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, row.date)).getUTCDay()];
+            if (row.day !== weekday) {
+                errors.push(`${where}: day is "${row.day}", expected "${weekday}"`);
+            }
+
+            const invalid = TIME_FIELDS.filter(field => !isValidTime(row[field]));
+            invalid.forEach(field => {
+                errors.push(`${where}: ${field} "${row[field]}" is not a valid HH:MM time`);
+            });
+            if (invalid.length) {
+                previous = null;
+                return;
+            }
+
+            for (let i = 1; i < DAY_ORDER.length; i++) {
+                const before = DAY_ORDER[i - 1];
+                const after = DAY_ORDER[i];
+                if (toMinutes(row[before]) >= toMinutes(row[after])) {
+                    errors.push(`${where}: ${before} ${row[before]} is not before ${after} ${row[after]}`);
+                }
+            }
+
+            Object.entries(JAMAAT_AFTER).forEach(([jamaat, begins]) => {
+                if (toMinutes(row[jamaat]) < toMinutes(row[begins])) {
+                    errors.push(`${where}: ${jamaat} ${row[jamaat]} is before ${begins} ${row[begins]}`);
+                }
+            });
+
+            // The moon counter may carry a marker such as "*1" on a new month
+            const moon = Number(String(row.moon).replace(/[^\d]/g, ''));
+            const expectedMoon = expectedMoonDay(date, monthStarts);
+            if (expectedMoon === null) {
+                errors.push(`${where}: no month in hijri-calendar.json covers ${date}`);
+            } else if (moon !== expectedMoon) {
+                errors.push(`${where}: moon is ${row.moon}, hijri-calendar.json gives day ${expectedMoon}`);
+            }
+
+            if (previous) {
+                const clockShift = date === springForward ? CLOCK_CHANGE_MINUTES
+                    : date === fallBack ? -CLOCK_CHANGE_MINUTES
+                        : 0;
+
+                Object.entries(MAX_DAILY_CHANGE).forEach(([field, limit]) => {
+                    if (exceptions.has(`${date} ${field}`)) return;
+                    const change = toMinutes(row[field]) - toMinutes(previous[field]) - clockShift;
+                    if (Math.abs(change) > limit) {
+                        errors.push(`${where}: ${field} moves ${change > 0 ? '+' : ''}${change} min from the previous day (limit ${limit})`);
+                    }
+                });
+            }
+
+            previous = row;
+        });
+    });
+
+    return errors;
+}
+
+function main() {
+    const files = process.argv.slice(2);
+    if (!files.length) {
+        const manifest = readJson('data/prayer-times-manifest.json');
+        Object.values(manifest.years).forEach(entry => files.push(entry.file));
+    }
+
+    const monthStarts = getHijriMonthStarts(readJson('data/hijri-calendar.json'));
+    const calendarErrors = validateMonthStarts(monthStarts);
+    let failed = calendarErrors.length > 0;
+
+    if (failed) {
+        console.error(`✗ data/hijri-calendar.json: ${calendarErrors.length} problem${calendarErrors.length === 1 ? '' : 's'}`);
+        calendarErrors.forEach(error => console.error(`  - ${error}`));
+    }
+
+    files.forEach(file => {
+        const errors = validateTimetable(file, monthStarts);
+        if (errors.length) {
+            failed = true;
+            console.error(`✗ ${file}: ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+            errors.forEach(error => console.error(`  - ${error}`));
+        } else {
+            console.log(`✓ ${file}`);
+        }
+    });
+
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,195 @@
+/**
+ * Service Worker for Greenwich Madina Trust
+ * Keeps the prayer banner and timetable working with no signal.
+ *
+ * Install precaches the start pages, every css/js file they load (with the
+ * `?v=` cache-bust strings in their tags), the published prayer timetables
+ * and the current timetable PDF. After that:
+ *   - pages are network-first, falling back to the cached copy offline
+ *   - data/*.json is network-first too: it is edited in place without a
+ *     new `?v=` string, and the YouTube snapshot must show a stream as live
+ *     on the first load after it starts
+ *   - everything else is stale-while-revalidate, keyed on the full URL, so
+ *     a new `?v=` string is a new entry and replaces the old version
+ */
+
+// Bump when the precache lists or caching rules change; activate then
+// deletes the older caches
+const CACHE_NAME = 'gmt-v2';
+
+// Pages precached for offline use; the app opens on prayer-times.html
+const PRECACHE_PAGES = ['index.html', 'prayer-times.html'];
+const OFFLINE_PAGE = 'prayer-times.html';
+
+const PRECACHE_URLS = [
+    'manifest.webmanifest',
+    'images/gemini-logo-final.png',
+    'images/gemini-logo-final.svg',
+    'images/icon-192.png',
+    'images/icon-512.png',
+    'data/prayer-times-manifest.json',
+    'data/hijri-calendar.json',
+    'data/ramadan.json',
+    'data/jumuah.json',
+    'data/timetables.json',
+    // Imported by js/pages/home.js, so not in any page's tags
+    'js/pages/news-common.js'
+];
+
+// Site data (timetables, Hijri calendar, Jumu'ah, news, YouTube snapshot)
+const NETWORK_FIRST_PATTERN = /\/data\/.+\.json$/;
+
+// Local css/js referenced by a page, with their ?v= strings
+const ASSET_PATTERN = /(?:src|href)="((?:css|js)\/[^"]+)"/g;
+
+self.addEventListener('install', event => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('gmt-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate' || NETWORK_FIRST_PATTERN.test(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, event));
+    }
+});
+
+// Jama'at reminders (js/reminders.js): open or focus the prayer times page
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const target = new URL((event.notification.data && event.notification.data.url) || OFFLINE_PAGE, self.location.href).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => client.url === target);
+            return open ? open.focus() : self.clients.openWindow(target);
+        })
+    );
+});
+
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    const urls = new Set(PRECACHE_URLS);
+
+    // Pick up each page's assets from its own tags so the ?v= strings match
+    await Promise.all(PRECACHE_PAGES.map(async page => {
+        const response = await fetch(page, { cache: 'no-cache' });
+        if (!response.ok) return;
+        await cache.put(page, response.clone());
+
+        const html = await response.text();
+        for (const match of html.matchAll(ASSET_PATTERN)) {
+            urls.add(match[1]);
+        }
+    }));
+
+    (await getTimetableUrls()).forEach(url => urls.add(url));
+
+    await Promise.all([...urls].map(url => cache.add(url).catch(error => {
+        console.warn('Could not precache', url, error);
+    })));
+}
+
+/**
+ * Yearly timetable JSON (as PrayerTimes requests it) and the current
+ * month's PDF from data/timetables.json
+ */
+async function getTimetableUrls() {
+    const urls = [];
+
+    try {
+        const manifest = await (await fetch('data/prayer-times-manifest.json', { cache: 'no-cache' })).json();
+        Object.values(manifest.years || {}).forEach(entry => {
+            urls.push(entry.version ? `${entry.file}?v=${entry.version}` : entry.file);
+        });
+
+        const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/London' }).format(new Date());
+        const timetables = (await (await fetch('data/timetables.json', { cache: 'no-cache' })).json()).timetables || [];
+        const current = timetables
+            .filter(entry => entry.pdf && entry.liveFrom && entry.liveFrom <= today)
+            .sort((a, b) => a.liveFrom.localeCompare(b.liveFrom))
+            .pop();
+        if (current) urls.push(current.pdf);
+    } catch (error) {
+        console.warn('Could not read timetable manifests:', error);
+    }
+
+    return urls;
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.status === 200) {
+            // Keep pages under every query (prayer-times.html?date=...), but
+            // only the latest ?v= copy of a data file
+            const copy = response.clone();
+            const tidy = request.mode === 'navigate' ? Promise.resolve() : removeOtherVersions(cache, request.url);
+            tidy.then(() => cache.put(request, copy));
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true }))
+            || (request.mode === 'navigate' && await cache.match(OFFLINE_PAGE))
+            || Response.error();
+    }
+}
+
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+
+    const update = fetch(request)
+        .then(async response => {
+            // Partial (206) responses to range requests can't be cached
+            if (response.status === 200) {
+                await removeOtherVersions(cache, request.url);
+                await cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await update;
+    } catch (error) {
+        // Offline with a new ?v= string: an older version beats nothing
+        return (await cache.match(request, { ignoreSearch: true })) || Response.error();
+    }
+}
+
+/**
+ * Drop cached copies of the same file under a different ?v= string
+ */
+async function removeOtherVersions(cache, url) {
+    const { pathname, search } = new URL(url);
+    const keys = await cache.keys();
+
+    await Promise.all(keys
+        .filter(key => {
+            const keyUrl = new URL(key.url);
+            return keyUrl.pathname === pathname && keyUrl.search !== search;
+        })
+        .map(key => cache.delete(key)));
+}
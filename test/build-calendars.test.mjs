@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { ROOT } from './helpers.mjs';
+
+const require = createRequire(import.meta.url);
+const { buildJamaatCalendar } = require('../scripts/build-calendars.js');
+
+// Each VEVENT's properties, keyed by name without parameters
+function parseEvents(content) {
+    return content.split('BEGIN:VEVENT').slice(1).map(block => Object.fromEntries(
+        block.split('\r\n')
+            .filter(line => line.includes(':') && !line.startsWith('END:'))
+            .map(line => [line.slice(0, line.indexOf(':')).split(';')[0], line.slice(line.indexOf(':') + 1)])
+    ));
+}
+
+function eventsOn(events, date) {
+    return events.filter(event => event.DTSTART.startsWith(date));
+}
+
+describe('jamaat-times.ics', () => {
+    const content = buildJamaatCalendar();
+    const events = parseEvents(content);
+
+    it("has a VEVENT for each Friday Jumu'ah session from data/jumuah.json instead of Dhuhr", () => {
+        const friday = eventsOn(events, '20260717')
+            .filter(event => event.SUMMARY.includes("Jumu'ah") || event.SUMMARY.startsWith('Dhuhr'));
+
+        assert.deepEqual(friday.map(event => [event.UID, event.SUMMARY, event.DTSTART, event.DESCRIPTION]), [
+            ['jamaat-2026-07-17-dhuhr@greenwichmadinatrust.org.uk', "First Jumu'ah Jama'at", '20260717T133000', 'Khutbah 13:00'],
+            ['jamaat-2026-07-17-dhuhr-2@greenwichmadinatrust.org.uk', "Second Jumu'ah Jama'at", '20260717T141500', undefined]
+        ]);
+    });
+
+    it('keeps Dhuhr on other days', () => {
+        const thursday = eventsOn(events, '20260716').map(event => event.SUMMARY);
+        assert.deepEqual(thursday, ["Fajr Jama'at", "Dhuhr Jama'at", "Asr Jama'at", "Maghrib Jama'at", "Isha Jama'at"]);
+    });
+
+    it('matches the committed feed, so rebuilding unchanged data changes nothing', () => {
+        assert.equal(content, readFileSync(path.join(ROOT, 'data/calendar/jamaat-times.ics'), 'utf8'));
+    });
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { ROOT } from './helpers.mjs';
+
+const pages = readdirSync(ROOT)
+    .filter(file => file.endsWith('.html'))
+    .map(file => ({ file, document: new JSDOM(readFileSync(path.join(ROOT, file), 'utf8')).window.document }))
+    .filter(({ document }) => document.querySelector('meta[http-equiv="Content-Security-Policy"]'));
+
+describe('Content Security Policy', () => {
+    it('is set on at least one page', () => {
+        assert.ok(pages.length > 0);
+    });
+
+    pages.forEach(({ file, document }) => {
+        it(`${file} uses the shared policy`, () => {
+            const meta = document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+            assert.equal(meta.getAttribute('content'), SafeHtml.CONTENT_SECURITY_POLICY);
+        });
+
+        it(`${file} has no inline scripts`, () => {
+            const inline = [...document.querySelectorAll('script:not([src])')].filter(script => script.type !== 'application/ld+json');
+            assert.deepEqual(inline.map(script => script.textContent.trim().slice(0, 60)), []);
+        });
+
+        it(`${file} has no inline event handlers`, () => {
+            const handlers = [...document.querySelectorAll('*')].flatMap(element => [...element.attributes]
+                .filter(attribute => /^on/i.test(attribute.name))
+                .map(attribute => `<${element.localName} ${attribute.name}>`));
+            assert.deepEqual(handlers, []);
+        });
+
+        it(`${file} only loads scripts from allowed origins`, () => {
+            const allowed = SafeHtml.CONTENT_SECURITY_POLICY.split('; ')
+                .find(directive => directive.startsWith('script-src '))
+                .split(' ').slice(1)
+                .filter(source => source !== "'self'");
+            const external = [...document.querySelectorAll('script[src]')]
+                .map(script => script.getAttribute('src'))
+                .filter(src => /^(https?:)?\/\//.test(src))
+                .filter(src => !allowed.some(origin => new URL(src, 'https://example.org').origin === origin));
+            assert.deepEqual(external, []);
+        });
+    });
+});
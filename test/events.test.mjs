@@ -0,0 +1,179 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { ROOT, loadPage, settle, useTimeZone } from './helpers.mjs';
+
+async function loadEventManager(t, now) {
+    const window = await loadPage(t, {
+        scripts: ['js/safe-html.js', 'js/london-time.js', 'js/events.js'],
+        now,
+        routes: { 'data/events.json': { events: [] } }
+    });
+    return { ...window.eval('EventManager'), todayIso: window.eval('LondonTime').todayIso };
+}
+
+describe('EventManager.isEventConfigActive', () => {
+    it('is inactive when missing or not enabled', async t => {
+        const { isEventConfigActive } = await loadEventManager(t, '2026-06-05T12:00:00Z');
+        assert.equal(isEventConfigActive(null), false);
+        assert.equal(isEventConfigActive({ enabled: false }), false);
+        assert.equal(isEventConfigActive({ enabled: true }), true);
+    });
+
+    it('hides from London midnight at the start of hideFrom in summer', async t => {
+        const config = { enabled: true, hideFrom: '2026-07-16' };
+
+        // 23:59:59 BST on the 15th
+        const before = await loadEventManager(t, '2026-07-15T22:59:59Z');
+        assert.equal(before.isEventConfigActive(config), true);
+
+        // 00:00 BST on the 16th, while it is still the 15th in UTC
+        const after = await loadEventManager(t, '2026-07-15T23:00:00Z');
+        assert.equal(after.todayIso(), '2026-07-16');
+        assert.equal(after.isEventConfigActive(config), false);
+    });
+
+    it('hides from London midnight at the start of hideFrom in winter', async t => {
+        const config = { enabled: true, hideFrom: '2026-12-25' };
+
+        const before = await loadEventManager(t, '2026-12-24T23:59:59Z');
+        assert.equal(before.isEventConfigActive(config), true);
+
+        const after = await loadEventManager(t, '2026-12-25T00:00:00Z');
+        assert.equal(after.isEventConfigActive(config), false);
+    });
+
+    it('handles the night the clocks go back', async t => {
+        // Clocks go back at 02:00 BST on 25 October 2026
+        const config = { enabled: true, hideFrom: '2026-10-25' };
+
+        const before = await loadEventManager(t, '2026-10-24T22:30:00Z');
+        assert.equal(before.isEventConfigActive(config), true);
+
+        const after = await loadEventManager(t, '2026-10-24T23:30:00Z');
+        assert.equal(after.isEventConfigActive(config), false);
+    });
+
+    it('shows from the start of showFrom', async t => {
+        const config = { enabled: true, showFrom: '2026-06-05', hideFrom: '2026-06-06' };
+
+        const before = await loadEventManager(t, '2026-06-04T22:59:59Z');
+        assert.equal(before.isEventConfigActive(config), false);
+
+        const on = await loadEventManager(t, '2026-06-04T23:00:00Z');
+        assert.equal(on.isEventConfigActive(config), true);
+    });
+
+    it("uses the London date whatever the device's time zone", async t => {
+        useTimeZone(t, 'Pacific/Auckland');
+
+        // Already the 16th in Auckland, still the 15th in London
+        const { todayIso, isEventConfigActive } = await loadEventManager(t, '2026-07-15T20:00:00Z');
+        assert.equal(todayIso(), '2026-07-15');
+        assert.equal(isEventConfigActive({ enabled: true, hideFrom: '2026-07-16' }), true);
+    });
+});
+
+// The homepage's spotlight section, with its placeholder poster and text
+const SPOTLIGHT_MARKUP = new JSDOM(readFileSync(path.join(ROOT, 'index.html'), 'utf8'))
+    .window.document.getElementById('event-spotlight').outerHTML;
+
+async function loadSpotlights(t, events) {
+    const window = await loadPage(t, {
+        html: SPOTLIGHT_MARKUP,
+        scripts: ['js/safe-html.js', 'js/london-time.js', 'js/events.js'],
+        routes: { 'data/events.json': { maxSpotlights: 2, events } }
+    });
+    await settle(window);
+    return [...window.document.querySelectorAll('.event-spotlight')];
+}
+
+describe('EventManager spotlights', () => {
+    const plain = { id: 'open-day', priority: 20, spotlight: { title: 'Open Day', date: 'Saturday 6th June 2026' } };
+    const full = {
+        id: 'gyarwee',
+        spotlight: {
+            title: 'Monthly Gyarwee Shareef',
+            date: 'Sunday 7th June 2026',
+            description: 'All are welcome.',
+            time: 'From Asr',
+            poster: 'images/gyarwee-june.jpg'
+        }
+    };
+
+    it('hides the placeholder poster, description and time when an event has none', async t => {
+        const [spotlight] = await loadSpotlights(t, [plain]);
+
+        assert.equal(spotlight.querySelector('.spotlight-title').textContent, 'Open Day');
+        assert.equal(spotlight.querySelector('.spotlight-poster').style.display, 'none');
+        assert.ok(spotlight.classList.contains('no-poster'));
+        assert.equal(spotlight.querySelector('.spotlight-description').style.display, 'none');
+        assert.equal(spotlight.querySelector('.spotlight-description').textContent, '');
+        assert.equal(spotlight.querySelector('.spotlight-time').closest('.spotlight-detail').style.display, 'none');
+    });
+
+    it('shows them again in a spotlight copied from one without', async t => {
+        const [first, second] = await loadSpotlights(t, [plain, full]);
+
+        assert.equal(first.querySelector('.spotlight-poster').style.display, 'none');
+        assert.equal(second.querySelector('.spotlight-poster').style.display, '');
+        assert.ok(!second.classList.contains('no-poster'));
+        assert.equal(second.querySelector('.spotlight-poster img').getAttribute('src'), 'images/gyarwee-june.jpg');
+        assert.equal(second.querySelector('.spotlight-description').style.display, '');
+        assert.equal(second.querySelector('.spotlight-description').textContent, 'All are welcome.');
+        assert.equal(second.querySelector('.spotlight-time').textContent, 'From Asr');
+    });
+});
+
+describe('EventManager occasions', () => {
+    const HIJRI_CALENDAR = {
+        months: [
+            { hijriMonth: 'Muharram', hijriYear: 1448, gregorianStartDate: '2026-06-16' },
+            { hijriMonth: 'Safar', hijriYear: 1448, gregorianStartDate: '2026-07-16' }
+        ]
+    };
+    const OCCASIONS = JSON.parse(readFileSync(path.join(ROOT, 'data/occasions.json'), 'utf8'));
+    const openDay = { id: 'open-day', priority: 20, showFrom: '2026-07-01', spotlight: { title: 'Open Day' } };
+    // Held on 3 Safar, a week before the 11th
+    const gyarwee = {
+        id: 'gyarwee-shareef-2026-07',
+        hideFrom: '2026-07-19',
+        spotlight: { title: 'Monthly Gyarwee Shareef', startDate: '2026-07-18' }
+    };
+
+    // Spotlights once the page has shown them, 20 July 2026
+    async function loadSpotlightsOn20July(t, events) {
+        const window = await loadPage(t, {
+            html: SPOTLIGHT_MARKUP,
+            scripts: ['js/safe-html.js', 'js/london-time.js', 'js/jumuah.js', 'js/prayer-times.js', 'js/events.js'],
+            now: '2026-07-20T09:00:00Z',
+            routes: {
+                'data/events.json': { maxSpotlights: 2, events },
+                'data/occasions.json': OCCASIONS,
+                'data/hijri-calendar.json': HIJRI_CALENDAR
+            }
+        });
+        const section = window.document.getElementById('event-spotlight');
+        for (let i = 0; i < 50 && section.style.display === 'none'; i++) await settle(window);
+        return [...window.document.querySelectorAll('.event-spotlight')];
+    }
+
+    function describeSpotlight(spotlight) {
+        return `${spotlight.querySelector('.spotlight-title').textContent} ${spotlight.querySelector('.spotlight-date').textContent}`;
+    }
+
+    it('announces Gyarwee Shareef on the 11th of the Hijri month, without a poster', async t => {
+        const [, occasion] = await loadSpotlightsOn20July(t, [openDay]);
+
+        assert.equal(describeSpotlight(occasion), 'Monthly Gyarwee Shareef Sunday 26th July 2026');
+        assert.equal(occasion.querySelector('.spotlight-poster').style.display, 'none');
+    });
+
+    it('skips it in a Hijri month that already has a scheduled Gyarwee event', async t => {
+        const spotlights = await loadSpotlightsOn20July(t, [openDay, { ...gyarwee, occasion: 'gyarwee-shareef' }]);
+
+        assert.deepEqual(spotlights.map(describeSpotlight), ['Open Day ']);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Shared test set-up: runs the site's classic scripts in a jsdom window
+ * with a fake fetch and a fixed clock, so the tests work offline and give
+ * the same results on any day.
+ */
+
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+// The site works in the mosque's local time; run as if the device is in London
+process.env.TZ = 'Europe/London';
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const SITE_URL = 'https://greenwichmadinatrust.org.uk/';
+
+const require = createRequire(import.meta.url);
+
+// The page modules use SafeHtml as a global, as they do in the browser
+globalThis.SafeHtml = require('../js/safe-html.js');
+
+/**
+ * A fetch that answers from `routes`, keyed by site path without the query
+ * string. A value is returned as the JSON body, a number as that HTTP error
+ * status. Anything else is a 404. Requested paths are kept in `requests`.
+ */
+export function createFetch(routes = {}) {
+    const requests = [];
+
+    async function fetch(url) {
+        const pathname = new URL(String(url), SITE_URL).pathname.slice(1);
+        requests.push(pathname);
+
+        const route = Object.prototype.hasOwnProperty.call(routes, pathname) ? routes[pathname] : 404;
+        if (typeof route === 'number') {
+            return { ok: false, status: route, json: async () => ({}) };
+        }
+        return { ok: true, status: 200, json: async () => structuredClone(route) };
+    }
+
+    fetch.requests = requests;
+    return fetch;
+}
+
+/**
+ * Replace the window's Date so `new Date()` and `Date.now()` return `now`
+ */
+export function setClock(window, now) {
+    const RealDate = window.Date;
+    const fixed = new RealDate(now).getTime();
+
+    class FixedDate extends RealDate {
+        constructor(...args) {
+            super(...(args.length ? args : [fixed]));
+        }
+
+        static now() {
+            return fixed;
+        }
+    }
+
+    window.Date = FixedDate;
+}
+
+/**
+ * A jsdom window holding `html` in its body, with `scripts` (repo paths)
+ * run in order as classic scripts. Resolves once the page has loaded and
+ * the scripts' start-up work has settled; the window is closed after test `t`.
+ *
+ * Top-level consts such as PrayerTimes aren't window properties, so read
+ * them with window.eval('PrayerTimes').
+ */
+export async function loadPage(t, { html = '', scripts = [], routes = {}, now = '2026-06-05T12:00:00Z', url = SITE_URL } = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`, {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+
+    window.fetch = createFetch(routes);
+    setClock(window, now);
+
+    const context = dom.getInternalVMContext();
+    scripts.forEach(file => {
+        new vm.Script(readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+    });
+
+    t.after(() => window.close());
+
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+    }
+    await settle(window);
+    return window;
+}
+
+/**
+ * Let pending promise callbacks and zero-delay timers run
+ */
+export function settle(window) {
+    return new Promise(resolve => window.setTimeout(resolve, 0));
+}
+
+const fragmentDocument = new JSDOM('').window.document;
+
+/**
+ * An element holding rendered markup (e.g. an html`` result), for querying
+ */
+export function parseHtml(markup) {
+    const container = fragmentDocument.createElement('div');
+    container.innerHTML = String(markup);
+    return container;
+}
+
+/**
+ * Run the rest of test `t` as if the device were set to another time zone
+ */
+export function useTimeZone(t, timeZone) {
+    const previous = process.env.TZ;
+    process.env.TZ = timeZone;
+    t.after(() => {
+        process.env.TZ = previous;
+    });
+}
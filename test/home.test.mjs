@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadPage, parseHtml } from './helpers.mjs';
+import { clampText, initLatestUpdates, newsExcerpt, renderNewsCard } from '../js/pages/home.js';
+
+const FIRST_SENTENCE = 'The Eid salah will be held in the main hall this year, insha Allah.';
+
+describe('clampText', () => {
+    it('returns short text with its whitespace collapsed', () => {
+        assert.equal(clampText('  Jumu\'ah   times\nchange  ', 74), 'Jumu\'ah times change');
+    });
+
+    it('returns an empty string for no text', () => {
+        assert.equal(clampText('', 74), '');
+        assert.equal(clampText(null, 74), '');
+        assert.equal(clampText('   ', 74), '');
+    });
+
+    it('ends at a sentence close to the limit', () => {
+        const text = `${FIRST_SENTENCE} Doors open at 7am and refreshments follow.`;
+        assert.ok(FIRST_SENTENCE.length > 74 - 18 && FIRST_SENTENCE.length < 74);
+        assert.equal(clampText(text, 74), FIRST_SENTENCE);
+    });
+
+    it('may run a little past the limit to finish a sentence', () => {
+        const text = `${FIRST_SENTENCE} Doors open at 7am and refreshments follow.`;
+        assert.equal(clampText(text, 60), FIRST_SENTENCE);
+    });
+
+    it('breaks at a word with an ellipsis when no sentence ends nearby', () => {
+        const text = 'Eid Mubarak! Join us for the Eid salah in the main hall with family and friends from across Greenwich';
+        const clamped = clampText(text, 74);
+        assert.equal(clamped, 'Eid Mubarak! Join us for the Eid salah in the main hall with family and…');
+        assert.ok(clamped.length <= 75);
+    });
+
+    it('cuts mid-word when there is no space near the limit', () => {
+        assert.equal(clampText('x'.repeat(100), 40), `${'x'.repeat(40)}…`);
+    });
+});
+
+describe('newsExcerpt', () => {
+    it('uses the first block that is neither Arabic nor a link', () => {
+        const post = {
+            text_blocks: [
+                'بِسْمِ ٱللَّٰهِ ٱلرَّحْمَٰنِ ٱلرَّحِيمِ',
+                'https://example.org/form',
+                'Registration is now open for the summer retreat.'
+            ]
+        };
+        assert.equal(newsExcerpt(post), 'Registration is now open for the summer retreat.');
+    });
+
+    it('is empty when there is no suitable block', () => {
+        assert.equal(newsExcerpt({}), '');
+        assert.equal(newsExcerpt({ text_blocks: ['https://example.org'] }), '');
+    });
+});
+
+describe('renderNewsCard', () => {
+    const post = {
+        slug: 'eid-salah',
+        title: 'Eid <salah> times',
+        eyebrow: 'Eid',
+        text_blocks: ['Eid salah times for this year.'],
+        source_url: 'https://www.facebook.com/example',
+        gallery: [{ url: 'images/eid.jpg' }]
+    };
+
+    it('escapes the post and links to its archive entry', () => {
+        const card = parseHtml(renderNewsCard(post, '20 July 2026'));
+        assert.equal(card.querySelector('.latest-update-title').textContent, 'Eid <salah> times');
+        assert.equal(card.querySelector('img').getAttribute('alt'), 'Eid <salah> times');
+        assert.equal(card.querySelector('.latest-update-meta span:last-child').textContent, '20 July 2026');
+        assert.equal(card.querySelector('.btn').getAttribute('href'), 'news.html#eid-salah');
+        assert.equal(card.querySelector('.news-archive-link').textContent, 'View on Facebook');
+    });
+
+    it('refuses unsafe action links', () => {
+        const card = parseHtml(renderNewsCard({ ...post, action_url: 'javascript:alert(1)', action_label: 'Book' }));
+        const action = card.querySelector('.btn');
+        assert.equal(action.getAttribute('href'), '#');
+        assert.equal(action.hasAttribute('target'), false);
+    });
+
+    it('opens outside action links in a new tab', () => {
+        const card = parseHtml(renderNewsCard({ ...post, action_url: 'https://forms.example.org/' }));
+        const action = card.querySelector('.btn');
+        assert.equal(action.getAttribute('target'), '_blank');
+        assert.equal(action.textContent, 'Learn more');
+    });
+});
+
+describe('initLatestUpdates', () => {
+    class FakeSwiper {
+        constructor(selector, options) {
+            this.selector = selector;
+            this.params = options;
+            this.activeIndex = 0;
+        }
+    }
+
+    function post(number) {
+        return {
+            slug: `post-${number}`,
+            title: `Post ${number}`,
+            text_blocks: [`Body of post ${number}.`],
+            source_url: 'https://www.facebook.com/example'
+        };
+    }
+
+    it('shows the three newest posts in a carousel', async t => {
+        const window = await loadPage(t, {
+            html: '<div id="latest-updates-wrapper"></div>',
+            routes: {
+                'data/facebook-news-preview.json': { updated_at: '2026-07-20', posts: [1, 2, 3, 4].map(post) }
+            }
+        });
+        window.Swiper = FakeSwiper;
+
+        await initLatestUpdates(window);
+
+        const titles = [...window.document.querySelectorAll('.latest-update-title')].map(title => title.textContent);
+        assert.deepEqual(titles, ['Post 1', 'Post 2', 'Post 3']);
+        assert.equal(window.document.querySelector('.latest-update-meta span:last-child').textContent, '20 July 2026');
+        assert.equal(window.latestUpdatesSwiper.selector, '#latest-updates-carousel');
+    });
+
+    it('reports a failed load', async t => {
+        const window = await loadPage(t, {
+            html: '<div id="latest-updates-wrapper"></div>',
+            routes: { 'data/facebook-news-preview.json': 503 }
+        });
+        window.Swiper = FakeSwiper;
+
+        await initLatestUpdates(window);
+
+        assert.equal(window.document.getElementById('latest-updates-wrapper').textContent, 'Could not load news: HTTP 503');
+        assert.equal(window.latestUpdatesSwiper, undefined);
+    });
+});
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { ROOT } from './helpers.mjs';
+
+const require = createRequire(import.meta.url);
+const { readExport, importPosts } = require('../scripts/import-facebook.js');
+
+const EXPORT_DIR = path.join(ROOT, 'test/fixtures/facebook-export');
+const HTML_EXPORT_DIR = path.join(ROOT, 'test/fixtures/facebook-export-html');
+
+function importInto(posts, options = {}) {
+    return importPosts({ posts }, readExport(EXPORT_DIR), { exportDir: EXPORT_DIR, dryRun: true, ...options });
+}
+
+describe('Facebook import', () => {
+    it('reads posts with text oldest first, fixing the export encoding', () => {
+        const exported = readExport(EXPORT_DIR);
+
+        assert.deepEqual(exported.map(post => post.timestamp), [1789898400, 1791052200, 1791547200, 1791847800, 1792152000]);
+        assert.equal(exported[2].text, "Jumu’ah Mubarak\nFirst jama'at 1:00pm, second 1:45pm.");
+    });
+
+    it('builds feed posts dated in London', async () => {
+        const added = await importInto([]);
+        const gyarwee = added.find(post => post.slug === 'annual-gyarwee-shareef-this-saturday');
+
+        assert.deepEqual(gyarwee, {
+            slug: 'annual-gyarwee-shareef-this-saturday',
+            import_id: 'facebook:1791052200',
+            source: 'facebook',
+            source_url: 'https://www.facebook.com/GreenwichMadinaTrust/',
+            published_label: '3 October 2026 on Facebook',
+            published_date: '3 October 2026',
+            eyebrow: 'Update',
+            title: 'Annual Gyarwee Shareef this Saturday',
+            text_blocks: ['Annual Gyarwee Shareef this Saturday', 'All welcome after Maghrib.'],
+            action_label: 'Learn more',
+            action_url: 'https://www.facebook.com/events/123456789/'
+        });
+        // 23:30 UTC on 12 October is already the 13th in London
+        assert.equal(added.find(post => post.slug === 'sisters-class-resumes-on-tuesday').published_date, '13 October 2026');
+    });
+
+    it('keeps posts that share a title, numbering their slugs', async () => {
+        const added = await importInto([]);
+
+        assert.deepEqual(added.filter(post => post.title === 'Jumu’ah Mubarak').map(post => [post.slug, post.import_id]), [
+            ['jumu-ah-mubarak', 'facebook:1791547200'],
+            ['jumu-ah-mubarak-2', 'facebook:1792152000']
+        ]);
+    });
+
+    it('skips imported posts by import_id and hand-written posts by London day and title or opening text', async () => {
+        const added = await importInto([
+            { slug: 'donations-live', published_date: '20 September 2026', title: 'Online donations are now live', text_blocks: ['Give online today.'] },
+            { slug: 'jumuah-times', published_date: '9 October 2026', title: 'This week', text_blocks: ["Jumu'ah Mubarak! First jama'at 1:00pm, second 1:45pm."] },
+            { slug: 'annual-gyarwee-shareef-this-saturday', import_id: 'facebook:1791052200' },
+            { slug: 'jumu-ah-mubarak-2', import_id: 'facebook:1792152000' }
+        ]);
+
+        assert.deepEqual(added.map(post => post.slug), ['sisters-class-resumes-on-tuesday']);
+    });
+
+    it('imports a post that only shares its title with a hand-written post from another day', async () => {
+        const added = await importInto([
+            { slug: 'donations-live', published_date: '19 September 2026', title: 'Online donations are now live', text_blocks: [] }
+        ]);
+
+        assert.ok(added.some(post => post.title === 'Online donations are now live'));
+    });
+
+    it('recognises a hand-written post from the feed by its opening text', async () => {
+        const feed = JSON.parse(readFileSync(path.join(ROOT, 'data/facebook-news-preview.json'), 'utf8'));
+        const retreat = feed.posts.find(post => post.slug === 'youth-summer-retreat-2026');
+        // As Facebook exports it: straight apostrophe, posted 10:00 BST on 20 July
+        const exported = [{
+            id: 'facebook:1784538000',
+            timestamp: 1784538000,
+            text: retreat.text_blocks.join('\n').replace(/’/g, "'"),
+            photos: [],
+            links: []
+        }];
+
+        assert.deepEqual(await importPosts(feed, exported, { exportDir: EXPORT_DIR, dryRun: true }), []);
+    });
+
+    it('gives a new post a fresh slug when an imported post already has it', async () => {
+        const added = await importInto([{ slug: 'sisters-class-resumes-on-tuesday', import_id: 'facebook:1' }]);
+
+        assert.ok(added.some(post => post.slug === 'sisters-class-resumes-on-tuesday-2'));
+    });
+
+    it('only imports posts from the --since date', async () => {
+        const added = await importInto([], { since: '2026-10-13' });
+
+        assert.deepEqual(added.map(post => post.published_date), ['13 October 2026', '16 October 2026']);
+    });
+
+    it('reads an HTML export, taking post times in London', async () => {
+        const exported = readExport(HTML_EXPORT_DIR);
+
+        assert.deepEqual(exported.map(post => [post.timestamp, post.text, post.links]), [
+            [1791048600, 'Annual Gyarwee Shareef this Saturday\nAll welcome after Maghrib.', ['https://www.facebook.com/events/123456789/']],
+            [1791844200, 'Open Day at the masjid\nTours, talks and refreshments for the whole community.', []],
+            [1792152000, "Jumu’ah Mubarak\nFirst jama'at 1:00pm, second 1:45pm.", []]
+        ]);
+
+        const added = await importPosts({ posts: [] }, exported, { exportDir: HTML_EXPORT_DIR, dryRun: true });
+        assert.deepEqual(added.find(post => post.slug === 'open-day-at-the-masjid').poster,
+            { url: 'images/news/open-day-at-the-masjid.jpg', alt: 'Poster for Open Day at the masjid' });
+    });
+
+    it('skips a photo sharp cannot convert, with a warning', async t => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const sharp = () => {
+            throw new Error('Input file contains unsupported image format');
+        };
+        const added = await importPosts({ posts: [] }, readExport(HTML_EXPORT_DIR), { exportDir: HTML_EXPORT_DIR, sharp });
+
+        assert.equal(added.find(post => post.slug === 'open-day-at-the-masjid').poster, undefined);
+        assert.match(warn.mock.calls[0].arguments[0], /open-day\.png could not be converted/);
+    });
+
+    it('says where it looked when there are no posts files', t => {
+        const dir = mkdtempSync(path.join(tmpdir(), 'facebook-empty-'));
+        t.after(() => rmSync(dir, { recursive: true, force: true }));
+        writeFileSync(path.join(dir, 'index.html'), '<html></html>');
+
+        assert.throws(() => readExport(dir), /No your_posts_\*\.json or \.html files found/);
+    });
+});
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { describe, it } from 'node:test';
+
+const require = createRequire(import.meta.url);
+const Jumuah = require('../js/jumuah.js');
+
+const DATA = {
+    seasons: [
+        { from: '03-29', to: '10-24', sessions: [{ jamaat: '13:30' }, { jamaat: '14:15' }], note: 'Summer' },
+        { from: '10-25', to: '03-28', sessions: [{ jamaat: '12:45' }] }
+    ],
+    fridays: {
+        '2026-07-24': { sessions: [{ jamaat: '13:00' }], note: "One jama'at this week" }
+    }
+};
+
+describe('Jumuah.forDate', () => {
+    it('is null on other days', () => {
+        assert.equal(Jumuah.forDate(DATA, '2026-07-16'), null);
+    });
+
+    it('takes the season covering the Friday', () => {
+        assert.deepEqual(Jumuah.forDate(DATA, '2026-07-17'),
+            { sessions: [{ jamaat: '13:30' }, { jamaat: '14:15' }], note: 'Summer' });
+    });
+
+    it('follows a season that wraps over the new year', () => {
+        assert.deepEqual(Jumuah.forDate(DATA, '2027-01-01'), { sessions: [{ jamaat: '12:45' }], note: '' });
+    });
+
+    it('prefers an entry for that Friday', () => {
+        assert.deepEqual(Jumuah.forDate(DATA, '2026-07-24'),
+            { sessions: [{ jamaat: '13:00' }], note: "One jama'at this week" });
+    });
+
+    it('is null without data or a covering season', () => {
+        assert.equal(Jumuah.forDate(null, '2026-07-17'), null);
+        assert.equal(Jumuah.forDate({ seasons: [] }, '2026-07-17'), null);
+    });
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { describe, it } from 'node:test';
+import { loadPage, useTimeZone } from './helpers.mjs';
+
+const require = createRequire(import.meta.url);
+const LondonTime = require('../js/london-time.js');
+
+const { at, dayOf, parseIsoDate, toIsoDate, addDays } = LondonTime;
+
+function atIso(date, time) {
+    return at(parseIsoDate(date), time).toISOString();
+}
+
+describe('LondonTime.at', () => {
+    it('reads times as BST in summer and GMT in winter', () => {
+        assert.equal(atIso('2026-07-03', '13:30'), '2026-07-03T12:30:00.000Z');
+        assert.equal(atIso('2026-12-04', '13:30'), '2026-12-04T13:30:00.000Z');
+    });
+
+    it('handles the morning the clocks go forward', () => {
+        assert.equal(atIso('2026-03-29', '00:30'), '2026-03-29T00:30:00.000Z');
+        // 01:30 doesn't exist that morning, so it comes out as 02:30 BST
+        assert.equal(atIso('2026-03-29', '01:30'), '2026-03-29T01:30:00.000Z');
+        assert.equal(atIso('2026-03-29', '05:00'), '2026-03-29T04:00:00.000Z');
+    });
+
+    it('handles the morning the clocks go back', () => {
+        assert.equal(atIso('2026-10-25', '00:30'), '2026-10-24T23:30:00.000Z');
+        assert.equal(atIso('2026-10-25', '01:30'), '2026-10-25T01:30:00.000Z');
+        assert.equal(atIso('2026-10-25', '05:00'), '2026-10-25T05:00:00.000Z');
+    });
+
+    it("doesn't depend on the device's time zone", t => {
+        useTimeZone(t, 'America/Los_Angeles');
+        assert.equal(atIso('2026-07-03', '13:30'), '2026-07-03T12:30:00.000Z');
+        assert.equal(atIso('2026-10-25', '00:30'), '2026-10-24T23:30:00.000Z');
+    });
+});
+
+describe('LondonTime calendar days', () => {
+    it("gives a moment's London date", t => {
+        useTimeZone(t, 'Asia/Karachi');
+        assert.equal(toIsoDate(dayOf(new Date('2026-06-30T23:30:00Z'))), '2026-07-01');
+        assert.equal(toIsoDate(dayOf(new Date('2026-12-31T23:30:00Z'))), '2026-12-31');
+    });
+
+    it('counts days across the clock changes and month ends', () => {
+        assert.equal(toIsoDate(addDays(parseIsoDate('2026-03-28'), 1)), '2026-03-29');
+        assert.equal(toIsoDate(addDays(parseIsoDate('2026-10-25'), 1)), '2026-10-26');
+        assert.equal(toIsoDate(addDays(parseIsoDate('2026-03-01'), -1)), '2026-02-28');
+    });
+});
+
+describe('LondonTime.now', () => {
+    async function loadClock(t, now = '2026-06-05T12:00:00Z') {
+        const window = await loadPage(t, { scripts: ['js/london-time.js'], now });
+        return { window, clock: window.eval('LondonTime') };
+    }
+
+    it('is the current moment by default', async t => {
+        const { clock } = await loadClock(t);
+        assert.equal(clock.now().toISOString(), '2026-06-05T12:00:00.000Z');
+        assert.equal(clock.todayIso(), '2026-06-05');
+    });
+
+    it('starts a test date at London midnight', async t => {
+        const { window, clock } = await loadClock(t);
+        window.GMT_TEST_DATE = '2026-07-01';
+        assert.equal(clock.now().toISOString(), '2026-06-30T23:00:00.000Z');
+        assert.equal(clock.todayIso(), '2026-07-01');
+    });
+
+    it('reads a test time as London time', async t => {
+        const { window, clock } = await loadClock(t);
+        window.GMT_TEST_DATE = '2026-12-01T13:20';
+        assert.equal(clock.now().toISOString(), '2026-12-01T13:20:00.000Z');
+
+        window.GMT_TEST_DATE = '2026-06-01T13:20:00Z';
+        assert.equal(clock.now().toISOString(), '2026-06-01T13:20:00.000Z');
+    });
+
+    it('still accepts GMT_TIMETABLE_TEST_DATE', async t => {
+        const { window, clock } = await loadClock(t);
+        window.GMT_TIMETABLE_TEST_DATE = '2026-05-15';
+        assert.equal(clock.todayIso(), '2026-05-15');
+    });
+
+    it('ignores a test date it cannot read', async t => {
+        const { window, clock } = await loadClock(t);
+        window.GMT_TEST_DATE = 'next Friday';
+        assert.equal(clock.now().toISOString(), '2026-06-05T12:00:00.000Z');
+    });
+
+    it('returns to the real clock when the test date is cleared', async t => {
+        const { window, clock } = await loadClock(t);
+        window.GMT_TEST_DATE = '2026-07-01';
+        clock.now();
+        delete window.GMT_TEST_DATE;
+        assert.equal(clock.todayIso(), '2026-06-05');
+    });
+});
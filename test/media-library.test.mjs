@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { ROOT, SITE_URL, loadPage, settle } from './helpers.mjs';
+
+// A page's body as on the real page, without its header, footer and scripts
+function pageMarkup(file) {
+    const { document } = new JSDOM(readFileSync(path.join(ROOT, file), 'utf8')).window;
+    document.querySelectorAll('script, header, footer').forEach(element => element.remove());
+    return document.body.innerHTML;
+}
+
+const SERIES = ['Gyarwee Shareef', 'Dars-e-Quran', "Jumu'ah talk"];
+
+// 30 uploads, newest first, one every three days
+const LIBRARY = {
+    channelId: 'UCTlPBYKq48KKhrdn51A7F5w',
+    videos: Array.from({ length: 30 }, (_, index) => ({
+        videoId: `video-${index + 1}`,
+        title: `${SERIES[index % SERIES.length]} ${index + 1}`,
+        thumbnail: `https://i.ytimg.com/vi/video-${index + 1}/hqdefault.jpg`,
+        publishedAt: new Date(Date.UTC(2026, 9, 18 - index * 3, 19)).toISOString()
+    })),
+    playlists: [
+        { id: 'PL-nasheeds', title: 'Nasheeds', videoIds: ['video-2', 'video-5'] }
+    ]
+};
+
+const SERIES_CONFIG = JSON.parse(readFileSync(path.join(ROOT, 'data/media-series.json'), 'utf8'));
+
+async function loadMediaPage(t, { search = '', routes } = {}) {
+    const window = await loadPage(t, {
+        html: pageMarkup('media.html'),
+        url: `${SITE_URL}media.html${search}`,
+        scripts: ['js/safe-html.js', 'js/media-library.js'],
+        routes: routes || { 'data/youtube-library.json': LIBRARY, 'data/media-series.json': SERIES_CONFIG }
+    });
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    await settle(window);
+    return window;
+}
+
+function shownIds(window) {
+    return [...window.document.querySelectorAll('#media-library-grid [data-video-id]')].map(card => card.dataset.videoId);
+}
+
+function pageButtons(window) {
+    return [...window.document.querySelectorAll('#media-pagination button')].map(button => button.textContent);
+}
+
+describe('media library pages', () => {
+    it('shows the newest 12 videos and a page per 12', async t => {
+        const window = await loadMediaPage(t);
+
+        assert.deepEqual(shownIds(window), LIBRARY.videos.slice(0, 12).map(video => video.videoId));
+        assert.deepEqual(pageButtons(window), ['Newer', '1', '2', '3', 'Older']);
+        assert.equal(window.document.querySelector('#media-pagination [aria-current="page"]').textContent, '1');
+        assert.equal(window.document.querySelector('#media-pagination [data-page="0"]').disabled, true);
+    });
+
+    it('moves to an older page and records it in the URL', async t => {
+        const window = await loadMediaPage(t);
+
+        window.document.querySelector('#media-pagination button[data-page="2"]').click();
+        assert.equal(window.location.search, '?page=2');
+        assert.deepEqual(shownIds(window), LIBRARY.videos.slice(12, 24).map(video => video.videoId));
+    });
+
+    it('opens on the page in the URL, and keeps it within range', async t => {
+        const window = await loadMediaPage(t, { search: '?page=3' });
+        assert.deepEqual(shownIds(window), LIBRARY.videos.slice(24).map(video => video.videoId));
+        assert.equal(window.document.querySelector('#media-pagination [data-page="4"]').disabled, true);
+
+        const beyond = await loadMediaPage(t, { search: '?page=9' });
+        assert.deepEqual(shownIds(beyond), LIBRARY.videos.slice(24).map(video => video.videoId));
+    });
+});
+
+describe('media library series', () => {
+    it('lists the configured series and unclaimed playlists with counts', async t => {
+        const window = await loadMediaPage(t);
+
+        const filters = [...window.document.querySelectorAll('#media-series-filters button')]
+            .map(button => [button.dataset.series, button.querySelector('.media-series-count').textContent]);
+        assert.deepEqual(filters, [['', '30'], ['gyarwee', '10'], ['dars-e-quran', '10'], ['jumuah', '10'], ['PL-nasheeds', '2']]);
+    });
+
+    it('filters to a series when its button is pressed', async t => {
+        const window = await loadMediaPage(t);
+
+        window.document.querySelector('#media-series-filters button[data-series="jumuah"]').click();
+        assert.equal(window.location.search, '?series=jumuah');
+        assert.ok(shownIds(window).every(id => (Number(id.split('-')[1]) - 1) % 3 === 2));
+        assert.equal(window.document.querySelector('#media-series-filters [aria-pressed="true"]').dataset.series, 'jumuah');
+        assert.equal(window.document.getElementById('media-library-status').textContent, '10 videos found');
+        assert.equal(window.document.getElementById('media-pagination').hidden, true);
+    });
+
+    it('clears the filters', async t => {
+        const window = await loadMediaPage(t, { search: '?series=PL-nasheeds' });
+        assert.deepEqual(shownIds(window), ['video-2', 'video-5']);
+
+        window.document.getElementById('media-library-clear').click();
+        assert.equal(window.location.search, '');
+        assert.equal(shownIds(window).length, 12);
+        assert.equal(window.document.getElementById('media-library-clear').hidden, true);
+    });
+});
+
+describe('media library search', () => {
+    it("matches titles without case or apostrophes, so jumuah finds Jumu'ah", async t => {
+        const window = await loadMediaPage(t, { search: '?q=JUMUAH' });
+
+        assert.equal(shownIds(window).length, 10);
+        assert.equal(window.document.querySelector('#media-library-filters input[name="q"]').value, 'JUMUAH');
+    });
+
+    it('needs every word to match, within the chosen series', async t => {
+        const window = await loadMediaPage(t, { search: '?q=gyarwee+1&series=gyarwee' });
+
+        assert.deepEqual(shownIds(window), ['video-1', 'video-10', 'video-13', 'video-16', 'video-19']);
+    });
+
+    it('searches as the visitor types', async t => {
+        const window = await loadMediaPage(t);
+        const input = window.document.querySelector('#media-library-filters input[name="q"]');
+
+        input.value = 'dars';
+        input.dispatchEvent(new window.Event('input'));
+        await new Promise(resolve => window.setTimeout(resolve, 300));
+        assert.equal(window.location.search, '?q=dars');
+        assert.equal(shownIds(window).length, 10);
+    });
+
+    it('says when nothing matches', async t => {
+        const window = await loadMediaPage(t, { search: '?q=eid' });
+
+        assert.equal(window.document.getElementById('media-library-grid').textContent.trim(),
+            'No videos match. Try a different search or series.');
+        assert.equal(window.document.getElementById('media-library-status').textContent, '0 videos found');
+    });
+});
+
+describe('media library before the first snapshot', () => {
+    it('keeps the static cards and hides the controls on media.html', async t => {
+        const window = await loadMediaPage(t, { routes: {} });
+
+        const cards = window.document.querySelectorAll('#media-library-grid .youtube-fallback');
+        assert.equal(cards.length, 2);
+        assert.equal(window.document.getElementById('media-library-filters').hidden, true);
+        assert.equal(window.document.getElementById('media-series-filters').hidden, true);
+    });
+
+    it('keeps the static recordings on events.html', async t => {
+        const window = await loadPage(t, {
+            html: pageMarkup('events.html'),
+            url: `${SITE_URL}events.html`,
+            scripts: ['js/safe-html.js', 'js/media-library.js']
+        });
+
+        assert.equal(window.document.querySelectorAll('#past-recordings-grid .youtube-fallback').length, 2);
+    });
+
+    it('shows the latest recordings on events.html once there is a library', async t => {
+        const window = await loadPage(t, {
+            html: pageMarkup('events.html'),
+            url: `${SITE_URL}events.html`,
+            scripts: ['js/safe-html.js', 'js/media-library.js'],
+            routes: { 'data/youtube-library.json': LIBRARY }
+        });
+
+        const links = [...window.document.querySelectorAll('#past-recordings-grid a')].map(link => link.getAttribute('href'));
+        assert.deepEqual(links, ['media.html?v=video-1', 'media.html?v=video-2', 'media.html?v=video-3', 'media.html?v=video-4']);
+    });
+});
@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { ROOT, SITE_URL, loadPage, parseHtml, settle } from './helpers.mjs';
+import { filterPosts, getPostMonth, initNewsArchive, isArabicLine, normalizeSearchText, renderPost } from '../js/pages/news.js';
+
+// The archive's form, list and pagination, as on the real page
+const ARCHIVE_MARKUP = new JSDOM(readFileSync(path.join(ROOT, 'news.html'), 'utf8'))
+    .window.document.querySelector('main').outerHTML;
+
+function post(number, overrides = {}) {
+    return {
+        slug: `post-${number}`,
+        eyebrow: number % 2 ? 'Community' : 'Education',
+        title: `Post ${number}`,
+        published_date: number <= 3 ? `${number} July 2026` : `${number} June 2026`,
+        text_blocks: [`Body of post ${number}.`],
+        source_url: 'https://www.facebook.com/example',
+        ...overrides
+    };
+}
+
+async function loadArchive(t, { posts, search = '', hash = '' }) {
+    const window = await loadPage(t, {
+        html: ARCHIVE_MARKUP,
+        url: `${SITE_URL}news.html${search}${hash}`,
+        routes: {
+            'data/facebook-news-preview.json': { updated_at: '2026-07-20', legacy_anchors: { 'old-post-7': 'post-7' }, posts }
+        }
+    });
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    await initNewsArchive(window);
+    return window;
+}
+
+function shownTitles(window) {
+    return [...window.document.querySelectorAll('#news-root .news-article h3')].map(title => title.textContent);
+}
+
+describe('renderPost', () => {
+    it('escapes post text and refuses unsafe links', () => {
+        const article = parseHtml(renderPost(post(1, {
+            title: '<script>alert(1)</script>',
+            text_blocks: ['Fish & chips <b>after</b> Jumu\'ah'],
+            action_url: 'javascript:alert(1)',
+            related_url: 'https://example.org/',
+            related_label: 'Details'
+        })));
+
+        assert.equal(article.querySelector('h3').textContent, '<script>alert(1)</script>');
+        assert.equal(article.querySelector('.news-prose p').textContent, 'Fish & chips <b>after</b> Jumu\'ah');
+        assert.equal(article.querySelector('script'), null);
+        const [action, related] = article.querySelectorAll('.news-actions a');
+        assert.equal(action.getAttribute('href'), '#');
+        assert.equal(related.getAttribute('target'), '_blank');
+    });
+
+    it('marks short Arabic lines and links bare URLs', () => {
+        const article = parseHtml(renderPost(post(1, {
+            text_blocks: ['جمعة مباركة', 'https://example.org/form']
+        })));
+        const [arabic, link] = article.querySelectorAll('.news-prose p');
+        assert.equal(arabic.className, 'arabic');
+        assert.equal(link.querySelector('a').getAttribute('href'), 'https://example.org/form');
+    });
+
+    it('falls back to the feed date', () => {
+        const article = parseHtml(renderPost(post(1, { published_date: '' }), '20 July 2026'));
+        assert.equal(article.querySelector('.news-date').textContent, '20 July 2026');
+    });
+});
+
+describe('news search', () => {
+    it('ignores accents, apostrophes and harakat', () => {
+        assert.equal(normalizeSearchText('Jumuʿah Ṣalāh'), 'jumuah salah');
+        assert.equal(normalizeSearchText('جُمُعَة'), 'جمعة');
+    });
+
+    it('needs every word to match, within the chosen category', () => {
+        const posts = [
+            post(1, { title: 'Youth Summer Retreat' }),
+            post(2, { title: 'Summer Madrasah timetable' }),
+            post(3, { title: 'Summer barbecue', key_details: [{ label: 'Venue', value: 'Youth centre' }] })
+        ];
+        const titles = matches => matches.map(match => match.title);
+
+        assert.deepEqual(titles(filterPosts(posts, { q: 'summer youth' })), ['Youth Summer Retreat', 'Summer barbecue']);
+        assert.deepEqual(titles(filterPosts(posts, { q: 'summer', category: 'Education' })), ['Summer Madrasah timetable']);
+        assert.equal(filterPosts(posts, { q: '' }).length, 3);
+    });
+
+    it('groups posts by month', () => {
+        assert.equal(getPostMonth(post(1)), 'July 2026');
+        assert.equal(getPostMonth({}), 'Earlier');
+    });
+
+    it('tells Arabic lines from English text that quotes Arabic', () => {
+        assert.equal(isArabicLine('بارك الله فيكم'), true);
+        assert.equal(isArabicLine('We say بارك الله فيكم to all our volunteers'), false);
+    });
+});
+
+describe('initNewsArchive', () => {
+    const posts = [1, 2, 3, 4, 5, 6, 7].map(number => post(number));
+
+    it('shows five posts a page under month headings', async t => {
+        const window = await loadArchive(t, { posts });
+
+        assert.deepEqual(shownTitles(window), ['Post 1', 'Post 2', 'Post 3', 'Post 4', 'Post 5']);
+        const months = [...window.document.querySelectorAll('.news-month')].map(month => month.textContent);
+        assert.deepEqual(months, ['July 2026', 'June 2026']);
+        const pagination = window.document.getElementById('news-pagination');
+        assert.equal(pagination.hidden, false);
+        assert.equal(pagination.querySelector('[aria-current="page"]').textContent, '1');
+    });
+
+    it('moves between pages and keeps the page in the URL', async t => {
+        const window = await loadArchive(t, { posts });
+
+        window.document.querySelector('#news-pagination button[data-page="2"]').click();
+
+        assert.deepEqual(shownTitles(window), ['Post 6', 'Post 7']);
+        assert.equal(window.location.search, '?page=2');
+    });
+
+    it('applies filters from the URL', async t => {
+        const window = await loadArchive(t, { posts, search: '?q=post+4' });
+
+        assert.deepEqual(shownTitles(window), ['Post 4']);
+        assert.equal(window.document.getElementById('news-results-status').textContent, '1 post found');
+        assert.equal(window.document.querySelector('#news-filters [name="q"]').value, 'post 4');
+        assert.equal(window.document.getElementById('news-filters-clear').hidden, false);
+    });
+
+    it('searches as you type, after a pause', async t => {
+        const window = await loadArchive(t, { posts });
+        const input = window.document.querySelector('#news-filters [name="q"]');
+
+        input.value = 'post 7';
+        input.dispatchEvent(new window.Event('input'));
+        await new Promise(resolve => window.setTimeout(resolve, 300));
+
+        assert.deepEqual(shownTitles(window), ['Post 7']);
+        assert.equal(window.location.search, '?q=post+7');
+    });
+
+    it('opens the page holding a linked post, following legacy anchors', async t => {
+        const window = await loadArchive(t, { posts, hash: '#old-post-7' });
+        await settle(window);
+
+        assert.equal(window.location.hash, '#post-7');
+        assert.deepEqual(shownTitles(window), ['Post 6', 'Post 7']);
+    });
+
+    it('lists categories with their post counts', async t => {
+        const window = await loadArchive(t, { posts });
+        const options = [...window.document.querySelectorAll('#news-filters option')].map(option => option.textContent);
+        assert.deepEqual(options, ['All categories', 'Community (4)', 'Education (3)']);
+    });
+
+    it('reports a failed load', async t => {
+        const window = await loadPage(t, {
+            html: ARCHIVE_MARKUP,
+            url: `${SITE_URL}news.html`,
+            routes: { 'data/facebook-news-preview.json': 500 }
+        });
+        await initNewsArchive(window);
+
+        const root = window.document.getElementById('news-root');
+        assert.equal(root.className, 'news-error');
+        assert.equal(root.textContent, 'Could not load news.HTTP 500');
+    });
+});
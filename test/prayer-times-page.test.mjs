@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { ROOT, SITE_URL, loadPage, settle } from './helpers.mjs';
+import { applyCurrentTimetable, applyJumuahNote, applyRamadanMode, initDayView } from '../js/pages/prayer-times.js';
+
+// prayer-times.html's body without its scripts
+const PAGE_MARKUP = (() => {
+    const { document } = new JSDOM(readFileSync(path.join(ROOT, 'prayer-times.html'), 'utf8')).window;
+    document.querySelectorAll('script').forEach(script => script.remove());
+    return document.body.innerHTML;
+})();
+
+const TIMETABLES = {
+    timetables: [
+        { label: 'May 2026', pdf: 'documents/may-2026-timetable.pdf', liveFrom: '2026-05-01' },
+        { label: 'June 2026', pdf: 'documents/june-2026-timetable.pdf', liveFrom: '2026-06-01' },
+        { label: 'July 2026', pdf: 'documents/july-2026-timetable.pdf', image: 'documents/july-2026-timetable.jpg', liveFrom: '2026-07-01' }
+    ]
+};
+
+const JUMUAH = {
+    seasons: [{
+        from: '01-01',
+        to: '12-31',
+        sessions: [{ jamaat: '13:30' }, { jamaat: '14:15' }],
+        note: 'English speech begins 30 minutes before the first prayer.'
+    }],
+    fridays: {
+        '2026-07-03': { sessions: [{ jamaat: '13:15' }] }
+    }
+};
+
+const DAY = {
+    sehri_end: '02:45', fajr_jamaat: '04:00', sunrise: '04:43', ishraq: '05:03', dhahwa_kubra: '12:17',
+    dhuhr_begins: '13:01', dhuhr_jamaat: '13:30', asr_begins: '18:20', asr_jamaat: '18:45', asr_end: '20:55',
+    maghrib: '21:15', isha_begins: '22:30', isha_jamaat: '22:45'
+};
+
+const PRAYER_TIMES_2026 = {
+    june: [{ ...DAY, date: 30, day: 'Tue' }],
+    july: [1, 2, 3].map(date => ({ ...DAY, date, day: ['Wed', 'Thu', 'Fri'][date - 1], isha_jamaat: `22:4${date}` }))
+};
+
+async function loadPrayerTimesPage(t, now, search = '') {
+    const window = await loadPage(t, {
+        html: PAGE_MARKUP,
+        url: `${SITE_URL}prayer-times.html${search}`,
+        scripts: ['js/safe-html.js', 'js/london-time.js', 'js/jumuah.js', 'js/prayer-times.js', 'js/timetables.js'],
+        now,
+        routes: {
+            'data/timetables.json': TIMETABLES,
+            'data/jumuah.json': JUMUAH,
+            'data/prayer-times-manifest.json': { years: { 2026: { file: 'data/prayer-times-2026.json' } } },
+            'data/prayer-times-2026.json': PRAYER_TIMES_2026,
+            'data/hijri-calendar.json': { months: [{ hijriMonth: 'Muharram', hijriYear: 1448, gregorianStartDate: '2026-06-16' }] }
+        }
+    });
+    return { window, document: window.document, PrayerTimes: window.eval('PrayerTimes'), LondonTime: window.eval('LondonTime'), Timetables: window.eval('Timetables') };
+}
+
+describe('applyCurrentTimetable', () => {
+    it("links the month's timetable and image, with earlier months archived", async t => {
+        const { window, document, Timetables } = await loadPrayerTimesPage(t, '2026-07-02T09:00:00Z');
+        await applyCurrentTimetable(window, Timetables);
+
+        assert.equal(document.getElementById('current-timetable-title').textContent, 'July 2026 Prayer Timetable');
+        assert.equal(document.getElementById('current-timetable-download').getAttribute('href'), 'documents/july-2026-timetable.pdf');
+        assert.equal(document.getElementById('current-timetable-preview').hidden, false);
+        assert.equal(document.getElementById('current-timetable-image').getAttribute('src'), 'documents/july-2026-timetable.jpg');
+
+        const archive = [...document.querySelectorAll('#timetable-archive-list a')].map(link => link.textContent);
+        assert.deepEqual(archive, ['June 2026 Timetable', 'May 2026 Timetable']);
+        assert.equal(document.getElementById('timetable-archive').hidden, false);
+    });
+
+    it('switches months at London midnight', async t => {
+        // 23:30 UTC on 30 June is 00:30 BST on 1 July
+        const { window, document, Timetables } = await loadPrayerTimesPage(t, '2026-06-30T23:30:00Z');
+        await applyCurrentTimetable(window, Timetables);
+
+        assert.equal(document.getElementById('current-timetable-title').textContent, 'July 2026 Prayer Timetable');
+    });
+
+    it('hides the preview for a timetable without an image', async t => {
+        const { window, document, Timetables } = await loadPrayerTimesPage(t, '2026-06-10T12:00:00Z');
+        await applyCurrentTimetable(window, Timetables);
+
+        assert.equal(document.getElementById('current-timetable-title').textContent, 'June 2026 Prayer Timetable');
+        assert.equal(document.getElementById('current-timetable-preview').hidden, true);
+        assert.equal(document.getElementById('current-timetable-image').hasAttribute('src'), false);
+    });
+
+    it('honours GMT_TEST_DATE', async t => {
+        const { window, document, Timetables } = await loadPrayerTimesPage(t, '2026-07-02T09:00:00Z');
+        window.GMT_TEST_DATE = '2026-05-15';
+        await applyCurrentTimetable(window, Timetables);
+
+        assert.equal(document.getElementById('current-timetable-title').textContent, 'May 2026 Prayer Timetable');
+        assert.equal(document.getElementById('timetable-archive').hidden, true);
+    });
+});
+
+describe('applyJumuahNote', () => {
+    it("shows the coming Friday's sessions", async t => {
+        const { window, document, PrayerTimes } = await loadPrayerTimesPage(t, '2026-06-08T12:00:00Z');
+        await applyJumuahNote(window, PrayerTimes);
+
+        assert.equal(document.getElementById('jumuah-note').textContent,
+            "Jum'a: 1:30 PM & 2:15 PM every Friday. English speech begins 30 minutes before the first prayer.");
+    });
+
+    it('uses a single-Friday override', async t => {
+        const { window, document, PrayerTimes } = await loadPrayerTimesPage(t, '2026-06-29T12:00:00Z');
+        await applyJumuahNote(window, PrayerTimes);
+
+        assert.equal(document.getElementById('jumuah-note').innerHTML, "Jum'a: <strong>1:15 PM</strong> every Friday.");
+    });
+});
+
+describe('applyRamadanMode', () => {
+    it('leaves the Ramadan timetable hidden outside Ramadan', async t => {
+        const { window, document, PrayerTimes } = await loadPrayerTimesPage(t, '2026-07-02T09:00:00Z');
+        await applyRamadanMode(window, PrayerTimes);
+
+        assert.equal(document.getElementById('ramadan-timetable-section').hidden, true);
+    });
+});
+
+describe('initDayView', () => {
+    const ishaJamaat = document => document.querySelector('#day-times tbody tr:last-child td:last-child').textContent;
+
+    it('shows today with no date in the address', async t => {
+        const { window, document, PrayerTimes, LondonTime } = await loadPrayerTimesPage(t, '2026-07-02T09:00:00Z');
+        await initDayView(window, PrayerTimes, LondonTime);
+
+        assert.equal(document.getElementById('day-times-title').textContent, 'Today, Thursday, 2 July 2026');
+        assert.equal(document.getElementById('day-times-hijri').textContent, '17 Muharram 1448 AH');
+        assert.equal(document.getElementById('day-times-date').value, '2026-07-02');
+        assert.equal(document.querySelector('[data-day-today]').disabled, true);
+        assert.equal(ishaJamaat(document), '22:42');
+    });
+
+    it('opens the day in ?date=', async t => {
+        const { window, document, PrayerTimes, LondonTime } = await loadPrayerTimesPage(t, '2026-06-10T09:00:00Z', '?date=2026-07-03');
+        await initDayView(window, PrayerTimes, LondonTime);
+
+        assert.equal(document.getElementById('day-times-title').textContent, 'Friday, 3 July 2026');
+        assert.equal(document.querySelector('#day-times tbody tr:nth-child(6) th').textContent.trim(), "Jumu'ah");
+        assert.equal(document.querySelector('[data-day-today]').disabled, false);
+    });
+
+    it('falls back to today for a date it cannot read', async t => {
+        const { window, document, PrayerTimes, LondonTime } = await loadPrayerTimesPage(t, '2026-07-02T09:00:00Z', '?date=2026-02-31');
+        await initDayView(window, PrayerTimes, LondonTime);
+
+        assert.equal(document.getElementById('day-times-date').value, '2026-07-02');
+    });
+
+    it('steps a day at a time, keeping the address in step', async t => {
+        const { window, document, PrayerTimes, LondonTime } = await loadPrayerTimesPage(t, '2026-07-02T09:00:00Z');
+        await initDayView(window, PrayerTimes, LondonTime);
+
+        document.querySelector('[data-day-step="1"]').click();
+        await settle(window);
+        assert.equal(window.location.search, '?date=2026-07-03');
+        assert.equal(ishaJamaat(document), '22:43');
+
+        document.querySelector('[data-day-step="-1"]').click();
+        document.querySelector('[data-day-step="-1"]').click();
+        await settle(window);
+        assert.equal(window.location.search, '?date=2026-07-01');
+        assert.equal(ishaJamaat(document), '22:41');
+
+        document.querySelector('[data-day-today]').click();
+        await settle(window);
+        assert.equal(window.location.search, '');
+        assert.equal(document.getElementById('day-times-date').value, '2026-07-02');
+    });
+
+    it('crosses into the previous month', async t => {
+        const { window, document, PrayerTimes, LondonTime } = await loadPrayerTimesPage(t, '2026-07-02T09:00:00Z', '?date=2026-07-01');
+        await initDayView(window, PrayerTimes, LondonTime);
+
+        document.querySelector('[data-day-step="-1"]').click();
+        await settle(window);
+        assert.equal(document.getElementById('day-times-title').textContent, 'Tuesday, 30 June 2026');
+    });
+
+    it('goes to a date chosen in the picker', async t => {
+        const { window, document, PrayerTimes, LondonTime } = await loadPrayerTimesPage(t, '2026-07-02T09:00:00Z');
+        await initDayView(window, PrayerTimes, LondonTime);
+
+        const input = document.getElementById('day-times-date');
+        input.value = '2026-08-14';
+        input.dispatchEvent(new window.Event('change'));
+        await settle(window);
+        assert.equal(window.location.search, '?date=2026-08-14');
+        assert.equal(document.getElementById('day-times').textContent.trim(),
+            "Prayer times for August 2026 haven't been added yet. Please check back soon.");
+    });
+});
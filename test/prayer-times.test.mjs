@@ -0,0 +1,428 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { ROOT, loadPage, settle, useTimeZone } from './helpers.mjs';
+
+const HIJRI_CALENDAR = {
+    months: [
+        { hijriMonth: 'Muharram', hijriYear: 1448, gregorianStartDate: '2026-06-16' },
+        { hijriMonth: 'Safar', hijriYear: 1448, gregorianStartDate: '2026-07-16' },
+        { hijriMonth: "Rabi' al-Awwal", hijriYear: 1448, gregorianStartDate: null }
+    ]
+};
+
+const MANIFEST = {
+    years: { 2026: { file: 'data/prayer-times-2026.json', version: 'test' } }
+};
+
+const JUMUAH = {
+    seasons: [{
+        from: '01-01',
+        to: '12-31',
+        sessions: [{ jamaat: '13:30' }, { jamaat: '14:15' }],
+        note: 'English speech begins 30 minutes before the first prayer.'
+    }]
+};
+
+function day(date, weekday, overrides = {}) {
+    return {
+        date,
+        day: weekday,
+        sehri_end: '02:45',
+        fajr_jamaat: '04:00',
+        sunrise: '04:43',
+        ishraq: '05:03',
+        dhahwa_kubra: '12:17',
+        dhuhr_begins: '13:01',
+        dhuhr_jamaat: '13:30',
+        asr_begins: '18:20',
+        asr_jamaat: '18:45',
+        asr_end: '20:55',
+        maghrib: '21:15',
+        isha_begins: '22:30',
+        isha_jamaat: '22:45',
+        ...overrides
+    };
+}
+
+const PRAYER_TIMES_2026 = {
+    june: [day(4, 'Thu'), day(5, 'Fri'), day(6, 'Sat')]
+};
+
+async function loadPrayerTimes(t, { now, routes = {}, html = '<div id="timetable"></div>' } = {}) {
+    const window = await loadPage(t, {
+        html,
+        scripts: ['js/safe-html.js', 'js/london-time.js', 'js/jumuah.js', 'js/prayer-times.js'],
+        now,
+        routes: {
+            'data/hijri-calendar.json': HIJRI_CALENDAR,
+            'data/prayer-times-manifest.json': MANIFEST,
+            'data/prayer-times-2026.json': PRAYER_TIMES_2026,
+            'data/jumuah.json': JUMUAH,
+            ...routes
+        }
+    });
+    return { window, PrayerTimes: window.eval('PrayerTimes') };
+}
+
+describe('PrayerTimes.getHijriDate', () => {
+    it('starts a month on its announced date', async t => {
+        const { PrayerTimes } = await loadPrayerTimes(t, { now: '2026-06-16T09:00:00Z' });
+        assert.deepEqual({ ...(await PrayerTimes.getHijriDate()) },
+            { day: 1, month: 'Muharram', year: 1448, provisional: false });
+    });
+
+    it('reaches day 30 of an announced month before the next one starts', async t => {
+        const { PrayerTimes } = await loadPrayerTimes(t, { now: '2026-07-15T12:00:00Z' });
+        assert.deepEqual({ ...(await PrayerTimes.getHijriDate()) },
+            { day: 30, month: 'Muharram', year: 1448, provisional: false });
+    });
+
+    it('follows the London date, not UTC, just after midnight in summer', async t => {
+        // 00:30 BST on 16 July is still 15 July in UTC
+        const { PrayerTimes } = await loadPrayerTimes(t, { now: '2026-07-15T23:30:00Z' });
+        assert.deepEqual({ ...(await PrayerTimes.getHijriDate()) },
+            { day: 1, month: 'Safar', year: 1448, provisional: false });
+    });
+
+    it('lets the last announced month run 30 days, then counts on provisionally', async t => {
+        const { PrayerTimes } = await loadPrayerTimes(t, { now: '2026-08-15T12:00:00Z' });
+        assert.deepEqual({ ...(await PrayerTimes.getHijriDate()) },
+            { day: 1, month: "Rabi' al-Awwal", year: 1448, provisional: true });
+        assert.deepEqual({ ...(await PrayerTimes.getHijriDateFor(new Date(2026, 7, 14))) },
+            { day: 30, month: 'Safar', year: 1448, provisional: false });
+    });
+
+    it('counts back before the first announcement, across the Hijri new year', async t => {
+        const { PrayerTimes } = await loadPrayerTimes(t, { now: '2026-06-15T12:00:00Z' });
+        assert.deepEqual({ ...(await PrayerTimes.getHijriDate()) },
+            { day: 30, month: 'Dhul Hijjah', year: 1447, provisional: true });
+    });
+
+    it("follows the masjid's announced months in data/hijri-calendar.json through Ramadan 1447", async t => {
+        const calendar = JSON.parse(readFileSync(path.join(ROOT, 'data/hijri-calendar.json'), 'utf8'));
+        const { PrayerTimes } = await loadPrayerTimes(t, { routes: { 'data/hijri-calendar.json': calendar } });
+        const dates = await Promise.all(['2026-01-31', '2026-02-18', '2026-02-19', '2026-03-20', '2026-03-21']
+            .map(async iso => ({ ...(await PrayerTimes.getHijriDateFor(new Date(`${iso}T12:00:00`))) })));
+
+        assert.deepEqual(dates, [
+            { day: 11, month: "Sha'ban", year: 1447, provisional: false },
+            { day: 29, month: "Sha'ban", year: 1447, provisional: false },
+            { day: 1, month: 'Ramadan', year: 1447, provisional: false },
+            { day: 30, month: 'Ramadan', year: 1447, provisional: false },
+            { day: 1, month: 'Shawwal', year: 1447, provisional: false }
+        ]);
+    });
+
+    it('accepts the older currentMonth/nextMonth layout', async t => {
+        const { PrayerTimes } = await loadPrayerTimes(t, {
+            now: '2026-07-20T12:00:00Z',
+            routes: {
+                'data/hijri-calendar.json': {
+                    currentMonth: { hijriMonth: 'Muharram', hijriYear: 1448, gregorianStartDate: '2026-06-16' },
+                    nextMonth: { hijriMonth: 'Safar', hijriYear: 1448, gregorianStartDate: '2026-07-16' }
+                }
+            }
+        });
+        assert.deepEqual({ ...(await PrayerTimes.getHijriDate()) },
+            { day: 5, month: 'Safar', year: 1448, provisional: false });
+    });
+
+    it('falls back to the tabular calendar when nothing is announced', async t => {
+        const { PrayerTimes } = await loadPrayerTimes(t, {
+            now: '2026-07-01T12:00:00Z',
+            routes: { 'data/hijri-calendar.json': { months: [] } }
+        });
+        assert.deepEqual({ ...(await PrayerTimes.getHijriDate()) },
+            { day: 15, month: 'Muharram', year: 1448, provisional: true });
+    });
+
+    it('shows placeholders when the calendar cannot be loaded', async t => {
+        const { PrayerTimes } = await loadPrayerTimes(t, { routes: { 'data/hijri-calendar.json': 500 } });
+        assert.deepEqual({ ...(await PrayerTimes.getHijriDate()) },
+            { day: '?', month: '?', year: '?', provisional: true });
+    });
+});
+
+describe('PrayerTimes.renderMonthlyTable', () => {
+    it('renders a row per day, marking today and Fridays', async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t, { now: '2026-06-05T12:00:00Z' });
+        await PrayerTimes.renderMonthlyTable('timetable', 2026, 6);
+
+        const rows = window.document.querySelectorAll('#timetable tbody tr');
+        assert.equal(rows.length, 3);
+        assert.equal(rows[0].className, '');
+        assert.equal(rows[1].className, 'today-row friday');
+        assert.equal(rows[1].querySelector('.today-label').textContent, 'Today');
+        assert.equal(rows[2].querySelector('.today-label'), null);
+    });
+
+    it("shows both Jumu'ah jama'ats in place of Dhuhr on Fridays", async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t);
+        await PrayerTimes.renderMonthlyTable('timetable', 2026, 6);
+
+        const [thursday, friday] = window.document.querySelectorAll('#timetable tbody tr');
+        const dhuhrJamaat = row => row.querySelectorAll('td')[6];
+        assert.equal(dhuhrJamaat(thursday).textContent, '13:30');
+        assert.equal(dhuhrJamaat(friday).innerHTML, '13:30<br>14:15<span class="jumuah-label">Jumu\'ah</span>');
+    });
+
+    it('labels each day with its provisional Hijri date', async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t);
+        await PrayerTimes.renderMonthlyTable('timetable', 2026, 6);
+
+        const label = window.document.querySelector('#timetable tbody tr .hijri-day');
+        assert.equal(label.textContent, '19');
+        assert.ok(label.classList.contains('is-provisional'));
+    });
+
+    it('escapes values from the data file', async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t, {
+            routes: { 'data/prayer-times-2026.json': { june: [day(4, '<img src=x onerror=alert(1)>')] } }
+        });
+        await PrayerTimes.renderMonthlyTable('timetable', 2026, 6);
+
+        const cell = window.document.querySelector('#timetable tbody td.col-day');
+        assert.equal(cell.textContent, '<img src=x onerror=alert(1)>');
+        assert.equal(window.document.querySelector('#timetable img'), null);
+    });
+
+    it("says when a year's timetable hasn't been published", async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t);
+        await PrayerTimes.renderMonthlyTable('timetable', 2027, 1);
+
+        assert.equal(window.document.querySelector('#timetable .timetable-not-published').textContent,
+            'The 2027 prayer timetable has not yet been published. Please check back soon.');
+    });
+
+    it('reports a failed load of a published year', async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t, { routes: { 'data/prayer-times-2026.json': 500 } });
+        await PrayerTimes.renderMonthlyTable('timetable', 2026, 6);
+
+        assert.equal(window.document.getElementById('timetable').textContent,
+            'Could not load prayer times. Please try again later.');
+    });
+});
+
+describe('PrayerTimes.renderDayTimes', () => {
+    const cells = window => [...window.document.querySelectorAll('#timetable tbody tr')]
+        .map(row => [...row.children].map(cell => cell.textContent.trim()));
+
+    it('shows every time in the day\'s row, including ishraq, dhahwa kubra and asr ends', async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t, {
+            routes: {
+                'data/prayer-times-2026.json': {
+                    june: [day(4, 'Thu', { note: 'Example note' })]
+                }
+            }
+        });
+        assert.equal(await PrayerTimes.renderDayTimes('timetable', new window.Date(2026, 5, 4)), true);
+
+        assert.deepEqual(cells(window), [
+            ['Sehri ends', '02:45'],
+            ['Fajr', '02:46', '04:00'],
+            ['Sunrise', '04:43'],
+            ['Ishraq', '05:03'],
+            ['Dhahwa Kubra', '12:17'],
+            ['Dhuhr', '13:01', '13:30'],
+            ['Asr', '18:20', '18:45'],
+            ['Asr ends', '20:55'],
+            ['Maghrib', '21:15', '21:15'],
+            ['Isha', '22:30', '22:45']
+        ]);
+        assert.equal(window.document.querySelector('#timetable .day-times-note').textContent, 'Example note');
+    });
+
+    it("shows Jumu'ah sessions in place of Dhuhr on Fridays", async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t);
+        await PrayerTimes.renderDayTimes('timetable', new window.Date(2026, 5, 5));
+
+        const jumuah = cells(window)[5];
+        assert.deepEqual(jumuah.slice(0, 2), ["Jumu'ah", '13:01']);
+        assert.equal(window.document.querySelectorAll('#timetable tbody tr')[5].lastElementChild.innerHTML, '13:30<br>14:15');
+        assert.equal(window.document.querySelector('#timetable .day-times-note').textContent,
+            'English speech begins 30 minutes before the first prayer.');
+    });
+
+    it("says when a month of a published year hasn't been added", async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t);
+        assert.equal(await PrayerTimes.renderDayTimes('timetable', new window.Date(2026, 7, 14)), false);
+
+        assert.equal(window.document.getElementById('timetable').textContent,
+            "Prayer times for August 2026 haven't been added yet. Please check back soon.");
+    });
+
+    it("says when a year's timetable hasn't been published", async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t);
+        await PrayerTimes.renderDayTimes('timetable', new window.Date(2027, 0, 1));
+
+        assert.equal(window.document.querySelector('#timetable .timetable-not-published').textContent,
+            'The 2027 prayer timetable has not yet been published. Please check back soon.');
+    });
+});
+
+describe("Jumu'ah sessions", () => {
+    const LABELLED = {
+        seasons: [{
+            from: '01-01',
+            to: '12-31',
+            sessions: [{ label: "First Jumu'ah", jamaat: '13:30' }, { label: "Second Jumu'ah", jamaat: '14:15' }]
+        }]
+    };
+
+    it('count down to the second session once the first has started', async t => {
+        // 13:45 BST on Friday 5 June
+        const { PrayerTimes } = await loadPrayerTimes(t, { now: '2026-06-05T12:45:00Z', routes: { 'data/jumuah.json': LABELLED } });
+
+        const { next, minutesUntilNext } = await PrayerTimes.getNextPrayer();
+        assert.deepEqual([next.key, next.name, next.jamaat], ['dhuhr', "Second Jumu'ah", '14:15']);
+        assert.equal(minutesUntilNext, 30);
+    });
+
+    it('each get a reminder', async t => {
+        const window = await loadPage(t, {
+            scripts: ['js/safe-html.js', 'js/london-time.js', 'js/jumuah.js', 'js/prayer-times.js', 'js/reminders.js'],
+            now: '2026-06-05T09:00:00Z',
+            routes: {
+                'data/hijri-calendar.json': HIJRI_CALENDAR,
+                'data/prayer-times-manifest.json': MANIFEST,
+                'data/prayer-times-2026.json': PRAYER_TIMES_2026,
+                'data/jumuah.json': LABELLED
+            }
+        });
+        const reminders = await window.eval('JamaatReminders').getUpcomingReminders(undefined,
+            { prayers: {}, minutesBefore: 15, jumuah: true, jumuahMinutesBefore: 30 });
+
+        assert.deepEqual([...reminders].map(reminder => [reminder.at.toISOString(), reminder.tag, reminder.title, reminder.body]), [
+            ['2026-06-05T12:00:00.000Z', 'jamaat-reminder-2026-6-5-dhuhr', "First Jumu'ah Jama'at in 30 minutes", "First Jumu'ah jama'at at 13:30, Ghousia Masjid"],
+            ['2026-06-05T12:45:00.000Z', 'jamaat-reminder-2026-6-5-dhuhr-2', "Second Jumu'ah Jama'at in 30 minutes", "Second Jumu'ah jama'at at 14:15, Ghousia Masjid"]
+        ]);
+    });
+
+    it('all show on the printable calendar', async t => {
+        const page = readFileSync(path.join(ROOT, 'calendar.html'), 'utf8');
+        const body = page.match(/<body[^>]*>([\s\S]*)<\/body>/)[1];
+        const { window } = await loadPrayerTimes(t, { html: body.replace(/<script[\s\S]*?<\/script>/g, '') });
+        window.eval(body.match(/<script>([\s\S]*?)<\/script>/)[1]);
+        await window.eval('renderCalendarPage()');
+
+        const dhuhrJamaat = [...window.document.querySelectorAll('#calendar-rows tr')].map(row => row.children[8].innerHTML);
+        assert.deepEqual(dhuhrJamaat, ['13:30', '13:30<br>14:15', '13:30']);
+    });
+});
+
+describe('PrayerTimes extended times', () => {
+    const BANNER = `
+        <section class="prayer-banner"><div class="container">
+            <div class="prayer-banner-content">
+                <div class="prayer-banner-left"></div>
+                <div class="prayer-times-quick" id="prayer-times-quick"></div>
+            </div>
+        </div></section>
+        <div id="timetable"></div>
+    `;
+
+    const bannerItems = window => [...window.document.querySelectorAll('#extended-times-list li')].map(item => ({
+        name: item.querySelector('.extended-time-name').textContent,
+        range: item.querySelector('.extended-time-range').textContent,
+        makruh: item.classList.contains('is-makruh'),
+        current: item.classList.contains('is-current')
+    }));
+
+    it('gives the Ishraq/Chasht window and the makruh periods as moments', async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t);
+        const periods = await PrayerTimes.getExtendedTimes(new window.Date(2026, 5, 4));
+
+        assert.deepEqual(Array.from(periods, period => [period.key, period.starts, period.ends, period.makruh]), [
+            ['ishraq', '05:03', '12:17', false],
+            ['zawal', '12:17', '13:01', true],
+            ['asr-end', '20:55', '21:15', true]
+        ]);
+        assert.equal(periods[1].startsAt.toISOString(), '2026-06-04T11:17:00.000Z');
+    });
+
+    it('are off in the banner until switched on, then remembered', async t => {
+        // 12:30 BST, during Zawal
+        const { window } = await loadPrayerTimes(t, { now: '2026-06-05T11:30:00Z', html: BANNER });
+        const toggle = window.document.querySelector('.extended-times-toggle');
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.equal(window.document.getElementById('extended-times-list').hidden, true);
+
+        toggle.click();
+        await settle(window);
+        assert.equal(window.localStorage.getItem('gmt_extended_times'), 'on');
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.deepEqual(bannerItems(window), [
+            { name: 'Ishraq / Chasht', range: '05:03–12:17', makruh: false, current: false },
+            { name: 'Zawal', range: '12:17–13:01', makruh: true, current: true },
+            { name: 'End of Asr', range: '20:55–21:15', makruh: true, current: false }
+        ]);
+
+        toggle.click();
+        await settle(window);
+        assert.equal(window.localStorage.getItem('gmt_extended_times'), null);
+        assert.equal(window.document.getElementById('extended-times-list').hidden, true);
+    });
+
+    it('highlight the window the live banner is in', async t => {
+        // 20:58 BST, after Asr ends
+        const { window, PrayerTimes } = await loadPrayerTimes(t, { now: '2026-06-05T19:58:00Z', html: BANNER });
+        window.localStorage.setItem('gmt_extended_times', 'on');
+        PrayerTimes.startLiveBanner();
+        await settle(window);
+
+        assert.deepEqual(bannerItems(window).map(item => item.current), [false, false, true]);
+        PrayerTimes.stopLiveBanner();
+    });
+
+    it('add Ishraq, Zawal and Asr ends columns to the monthly table', async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t);
+        await PrayerTimes.renderMonthlyTable('timetable', 2026, 6, { extended: true });
+
+        const row = window.document.querySelector('#timetable tbody tr');
+        assert.equal(row.children.length, 15);
+        assert.deepEqual([...row.querySelectorAll('.col-ishraq, .is-makruh')].map(cell => cell.textContent), ['05:03', '12:17', '20:55']);
+        assert.equal(window.document.querySelectorAll('#timetable thead .is-makruh').length, 2);
+    });
+
+    it("redraw the monthly table when they're switched on", async t => {
+        const { window, PrayerTimes } = await loadPrayerTimes(t);
+        await PrayerTimes.renderMonthlyTable('timetable', 2026, 6);
+        assert.equal(window.document.querySelector('#timetable tbody tr').children.length, 12);
+
+        await PrayerTimes.setExtendedTimes(true);
+        assert.equal(window.document.querySelector('#timetable tbody tr').children.length, 15);
+    });
+});
+
+describe('PrayerTimes on a device in another time zone', () => {
+    it("uses London's day and clock for the next jama'at", async t => {
+        useTimeZone(t, 'America/New_York');
+        // 04:30 BST on Friday 5 June; still the evening of the 4th in New York
+        const { PrayerTimes } = await loadPrayerTimes(t, { now: '2026-06-05T03:30:00Z' });
+
+        const { current, next, minutesUntilNext } = await PrayerTimes.getNextPrayer();
+        assert.equal(current.key, 'fajr');
+        assert.equal(next.name, "Jumu'ah");
+        assert.equal(next.jamaatAt.toISOString(), '2026-06-05T12:30:00.000Z');
+        assert.equal(minutesUntilNext, 540);
+    });
+
+    it("marks London's today in the monthly table", async t => {
+        useTimeZone(t, 'America/New_York');
+        const { window, PrayerTimes } = await loadPrayerTimes(t, { now: '2026-06-05T00:30:00Z' });
+        await PrayerTimes.renderMonthlyTable('timetable', 2026, 6);
+
+        const today = window.document.querySelector('#timetable .today-row');
+        assert.equal(today.querySelector('td').firstChild.textContent, '5');
+    });
+
+    it("gives London's Hijri date", async t => {
+        useTimeZone(t, 'Pacific/Auckland');
+        // 12:30 on 15 July in London, already the 16th (1 Safar) in Auckland
+        const { PrayerTimes } = await loadPrayerTimes(t, { now: '2026-07-15T11:30:00Z' });
+        assert.deepEqual({ ...(await PrayerTimes.getHijriDate()) },
+            { day: 30, month: 'Muharram', year: 1448, provisional: false });
+    });
+});
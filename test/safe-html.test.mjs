@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import './helpers.mjs';
+
+const { html, raw, escapeHtml, safeUrl, isTrusted } = SafeHtml;
+
+describe('SafeHtml.html', () => {
+    it('escapes interpolated text', () => {
+        assert.equal(String(html`<p>${'<b>"Eid" & \'Jumu\'ah\'</b>'}</p>`),
+            '<p>&lt;b&gt;&quot;Eid&quot; &amp; &#039;Jumu&#039;ah&#039;&lt;/b&gt;</p>');
+    });
+
+    it('keeps nested templates and raw markup, and joins arrays', () => {
+        const items = ['Fajr', 'Dhuhr'].map(name => html`<li>${name}</li>`);
+        assert.equal(String(html`<ul>${items}</ul>${raw('<hr>')}`), '<ul><li>Fajr</li><li>Dhuhr</li></ul><hr>');
+        assert.ok(isTrusted(items[0]));
+        assert.equal(isTrusted('<li>'), false);
+    });
+
+    it('drops false, null and undefined but keeps 0', () => {
+        assert.equal(String(html`${false}${null}${undefined}${0}`), '0');
+    });
+
+    it('checks the scheme of URL attributes', () => {
+        assert.equal(String(html`<a href="${'javascript:alert(1)'}">`), '<a href="#">');
+        assert.equal(String(html`<img src='${'data:text/html,x'}'>`), '<img src=\'#\'>');
+        assert.equal(String(html`<a href="${'news.html#eid'}" title="${'javascript:'}">`),
+            '<a href="news.html#eid" title="javascript:">');
+    });
+});
+
+describe('SafeHtml.safeUrl', () => {
+    it('allows web, mail and phone links and relative URLs', () => {
+        ['https://example.org/', 'http://example.org/', 'mailto:info@example.org', 'tel:+442000000000', 'documents/a.pdf', '#top', '/news.html']
+            .forEach(url => assert.equal(safeUrl(url), url));
+    });
+
+    it('blocks other schemes, however they are disguised', () => {
+        ['javascript:alert(1)', 'JavaScript:alert(1)', ' java\tscript:alert(1)', 'vbscript:x', 'data:text/html,x']
+            .forEach(url => assert.equal(safeUrl(url), '#'));
+    });
+});
+
+describe('SafeHtml.escapeHtml', () => {
+    it('escapes the five special characters', () => {
+        assert.equal(escapeHtml('<&>"\''), '&lt;&amp;&gt;&quot;&#039;');
+    });
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { ROOT, loadPage } from './helpers.mjs';
+
+// The homepage's video section, with its static fallback cards
+const VIDEO_SECTION = (() => {
+    const { document } = new JSDOM(readFileSync(path.join(ROOT, 'index.html'), 'utf8')).window;
+    return document.getElementById('youtube-section').outerHTML;
+})();
+
+async function loadHomepageVideos(t, routes = {}) {
+    const window = await loadPage(t, {
+        html: VIDEO_SECTION,
+        scripts: ['js/safe-html.js', 'js/youtube.js'],
+        routes
+    });
+    return window.document;
+}
+
+describe('YouTubeVideos on the homepage', () => {
+    it('keeps the static fallback until the first snapshot exists', async t => {
+        const document = await loadHomepageVideos(t);
+
+        assert.equal(document.getElementById('youtube-section').style.display, 'block');
+        const cards = document.querySelectorAll('.youtube-videos-grid .youtube-fallback');
+        assert.equal(cards.length, 2);
+        assert.equal(cards[0].getAttribute('href'), 'https://www.youtube.com/watch?v=XkXZpTbX5SQ');
+        assert.equal(document.querySelector('.youtube-error'), null);
+    });
+
+    it('replaces the fallback with the snapshot videos', async t => {
+        const document = await loadHomepageVideos(t, {
+            'data/youtube.json': {
+                channelId: 'UCTlPBYKq48KKhrdn51A7F5w',
+                live: null,
+                upcoming: [],
+                videos: [{ videoId: 'abc123', title: 'Gyarwee Shareef', thumbnail: 'https://i.ytimg.com/vi/abc123/hqdefault.jpg' }]
+            }
+        });
+
+        const cards = document.querySelectorAll('.youtube-videos-grid .youtube-video-card');
+        assert.equal(cards.length, 1);
+        assert.equal(cards[0].dataset.videoId, 'abc123');
+        assert.equal(document.querySelector('.youtube-fallback'), null);
+    });
+});